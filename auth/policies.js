@@ -0,0 +1,131 @@
+export const ACCESS_LEVELS = ['read-only', 'read-write'];
+export const DEFAULT_ACCESS = 'read-only';
+
+const normalizePolicyPrefix = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('/') || trimmed.includes('..')) {
+    return null;
+  }
+
+  return trimmed === '' || trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+};
+
+const commonDirectoryPrefix = (prefixes) => {
+  if (prefixes.length === 0) {
+    return '';
+  }
+
+  const [first, ...rest] = prefixes.map((prefix) => prefix.split('/').slice(0, -1));
+  const shared = [];
+  for (let index = 0; index < first.length; index += 1) {
+    if (!rest.every((segments) => segments[index] === first[index])) {
+      break;
+    }
+    shared.push(first[index]);
+  }
+
+  return shared.length > 0 ? `${shared.join('/')}/` : '';
+};
+
+// Users without a `prefixes` list keep access to every bucket. Otherwise each
+// entry grants `read-only` or `read-write` access below its prefix, either in
+// one `bucket` or in all of them, and the most specific matching entry wins.
+export const normalizePrefixPolicy = ({ prefixes, home }, source) => {
+  if (prefixes === undefined || prefixes === null) {
+    const homePrefix = home === undefined ? '' : normalizePolicyPrefix(home);
+    return homePrefix === null
+      ? { error: `Invalid home prefix in ${source}` }
+      : { policy: { rules: null, homePrefix } };
+  }
+
+  if (!Array.isArray(prefixes)) {
+    return { error: `"prefixes" in ${source} must be an array` };
+  }
+
+  const rules = [];
+  for (const entry of prefixes) {
+    const prefix = normalizePolicyPrefix(typeof entry === 'string' ? entry : entry?.prefix);
+    const access = typeof entry === 'string' ? DEFAULT_ACCESS : (entry?.access ?? DEFAULT_ACCESS);
+    const bucket = typeof entry === 'string' ? null : (entry?.bucket ?? null);
+    if (prefix === null) {
+      return { error: `Invalid prefix "${typeof entry === 'string' ? entry : entry?.prefix}" in ${source}` };
+    }
+    if (!ACCESS_LEVELS.includes(access)) {
+      return { error: `Unknown access "${access}" for prefix "${prefix}" in ${source}` };
+    }
+    if (bucket !== null && (typeof bucket !== 'string' || bucket.trim().length === 0)) {
+      return { error: `Invalid bucket for prefix "${prefix}" in ${source}` };
+    }
+    rules.push({ prefix, access, bucket: bucket === null ? null : bucket.trim() });
+  }
+
+  const homePrefix = home === undefined
+    ? commonDirectoryPrefix(rules.map((rule) => rule.prefix))
+    : normalizePolicyPrefix(home);
+  if (homePrefix === null) {
+    return { error: `Invalid home prefix in ${source}` };
+  }
+
+  return { policy: { rules, homePrefix } };
+};
+
+const appliesToBucket = (rule, bucketId) => !rule.bucket || rule.bucket === bucketId;
+
+const findRule = (rules, key, bucketId) => rules.reduce((match, rule) => {
+  if (!appliesToBucket(rule, bucketId) || !key.startsWith(rule.prefix)) {
+    return match;
+  }
+  return !match || rule.prefix.length > match.prefix.length ? rule : match;
+}, null);
+
+const grants = (rule, access) => Boolean(rule) && (access === 'read' || rule.access === 'read-write');
+
+export const canAccessKey = (user, key, access = 'read', bucketId = null) => {
+  const rules = user?.policy?.rules;
+  if (!rules) {
+    return Boolean(user);
+  }
+
+  return grants(findRule(rules, key, bucketId), access);
+};
+
+// Operations on a whole prefix (recursive delete, copying a folder) must also
+// be allowed by every more specific rule nested below it.
+export const canAccessPrefix = (user, prefix, access = 'read', bucketId = null) => {
+  if (!canAccessKey(user, prefix, access, bucketId)) {
+    return false;
+  }
+
+  const rules = user?.policy?.rules;
+  return !rules || rules
+    .filter((rule) => appliesToBucket(rule, bucketId) && rule.prefix.startsWith(prefix))
+    .every((rule) => grants(rule, access));
+};
+
+// A prefix can be browsed when it is readable itself or leads towards a
+// readable prefix, so scoped users can still navigate down from the root.
+export const canBrowsePrefix = (user, prefix, bucketId = null) => {
+  if (canAccessKey(user, prefix, 'read', bucketId)) {
+    return true;
+  }
+
+  const rules = user?.policy?.rules;
+  return Boolean(rules) && rules.some((rule) => appliesToBucket(rule, bucketId) && rule.prefix.startsWith(prefix));
+};
+
+export const isUnrestricted = (user) => !user?.policy?.rules;
+
+// Whether `user` may access everything below `prefix` in `bucketId`, or in
+// each of `bucketIds` when `bucketId` is null. API tokens and webhooks without
+// a bucket reach every bucket.
+export const canAccessPrefixIn = (user, prefix, access, bucketId, bucketIds) => (bucketId ? [bucketId] : bucketIds)
+  .every((id) => canAccessPrefix(user, prefix, access, id));
+
+export const canUseBucket = (user, bucketId) => {
+  const rules = user?.policy?.rules;
+  return !rules ? Boolean(user) : rules.some((rule) => appliesToBucket(rule, bucketId));
+};
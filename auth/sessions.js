@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+export const SESSION_COOKIE_NAME = 's3ui_session';
+export const CSRF_HEADER_NAME = 'x-csrf-token';
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export const parseCookies = (header) => {
+  const cookies = {};
+  if (typeof header !== 'string' || header.length === 0) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex <= 0) {
+      continue;
+    }
+
+    const name = part.slice(0, separatorIndex).trim();
+    const value = part.slice(separatorIndex + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Sessions live in memory and are referenced by an HMAC-signed random id, so
+// logging out or expiring a session revokes it immediately. The CSRF token is
+// derived from the session id and never needs to be stored separately.
+export const createSessionManager = ({ secret, idleTimeoutMs, absoluteTimeoutMs }) => {
+  const sessions = new Map();
+
+  const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+  const isExpired = (session, now = Date.now()) =>
+    now - session.lastSeenAt > idleTimeoutMs || now - session.createdAt > absoluteTimeoutMs;
+
+  const create = (username) => {
+    const id = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = { id, username, createdAt: now, lastSeenAt: now };
+    sessions.set(id, session);
+    return { session, cookieValue: `${id}.${sign(id)}` };
+  };
+
+  const resolve = (cookieValue) => {
+    if (typeof cookieValue !== 'string') {
+      return null;
+    }
+
+    const [id, signature] = cookieValue.split('.');
+    if (!id || !signature || !safeEqual(signature, sign(id))) {
+      return null;
+    }
+
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      sessions.delete(id);
+      return null;
+    }
+
+    session.lastSeenAt = now;
+    return session;
+  };
+
+  // Whether a session resolved earlier is still live, without counting the
+  // check as activity.
+  const isActive = (session) => sessions.get(session.id) === session && !isExpired(session);
+
+  const destroy = (session) => {
+    if (session) {
+      sessions.delete(session.id);
+    }
+  };
+
+  const csrfTokenFor = (session) => sign(`csrf:${session.id}`);
+
+  const verifyCsrfToken = (session, token) =>
+    Boolean(session) && typeof token === 'string' && safeEqual(token, csrfTokenFor(session));
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (isExpired(session, now)) {
+        sessions.delete(id);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  if (typeof sweepTimer.unref === 'function') {
+    sweepTimer.unref();
+  }
+
+  return {
+    create,
+    resolve,
+    isActive,
+    destroy,
+    csrfTokenFor,
+    verifyCsrfToken,
+    get size() {
+      return sessions.size;
+    }
+  };
+};
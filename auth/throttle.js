@@ -0,0 +1,57 @@
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Exponential backoff for failed logins. Failures are counted per key (the
+// client IP and the username); after `freeAttempts` failures a key is blocked
+// for `baseDelayMs`, doubling with every further failure up to `maxDelayMs`.
+// Counters are forgotten `resetAfterMs` after the last failure or on success.
+export const createLoginThrottle = ({
+  freeAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  resetAfterMs = 60 * 60 * 1000
+} = {}) => {
+  const entries = new Map();
+
+  const isStale = (entry, now) => now - entry.lastFailureAt > resetAfterMs && entry.blockedUntil <= now;
+
+  const retryAfterMs = (keys, now = Date.now()) => Math.max(0, ...keys.map((key) => {
+    const entry = entries.get(key);
+    return entry ? entry.blockedUntil - now : 0;
+  }));
+
+  const recordFailure = (keys, now = Date.now()) => {
+    for (const key of keys) {
+      const previous = entries.get(key);
+      const failures = previous && !isStale(previous, now) ? previous.failures + 1 : 1;
+      const excess = failures - freeAttempts;
+      entries.set(key, {
+        failures,
+        lastFailureAt: now,
+        blockedUntil: excess > 0 ? now + Math.min(maxDelayMs, baseDelayMs * 2 ** (excess - 1)) : 0
+      });
+    }
+  };
+
+  const recordSuccess = (keys) => {
+    keys.forEach((key) => entries.delete(key));
+  };
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (isStale(entry, now)) {
+        entries.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  if (typeof sweepTimer.unref === 'function') {
+    sweepTimer.unref();
+  }
+
+  return {
+    retryAfterMs,
+    recordFailure,
+    recordSuccess
+  };
+};
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { canAccessPrefixIn } from './policies.js';
+
+export const TOKEN_SCOPES = ['objects:read', 'objects:write', 'objects:delete', 'audio:split', 'audio:extract'];
+export const DEFAULT_TOKEN_EXPIRY_DAYS = 90;
+export const MAX_TOKEN_EXPIRY_DAYS = 365;
+
+// Every scope but `objects:read` can change objects below the token's prefix.
+export const scopeAccess = (scope) => (scope === 'objects:read' ? 'read' : 'write');
+
+// Admins with a prefix policy only see and revoke tokens they created and
+// tokens whose prefix, bucket and scopes their policy covers. A token without
+// a prefix covers its whole bucket.
+export const canManageToken = (user, token, bucketIds) => token.createdBy === user.username
+  || token.scopes.every((scope) => canAccessPrefixIn(user, token.prefix || '', scopeAccess(scope), token.bucket, bucketIds));
+
+// Requests made with a token act as a user whose policy is the token's prefix
+// and bucket; the scopes decide which routes it may call.
+export const tokenPolicy = (token) => (token.prefix || token.bucket
+  ? { rules: [{ prefix: token.prefix || '', access: 'read-write', bucket: token.bucket || null }], homePrefix: token.prefix || '' }
+  : { rules: null, homePrefix: '' });
+
+const TOKEN_PREFIX = 's3t';
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Tokens look like `s3t_<id>_<secret>`. The id is used for lookup and logging,
+// only a SHA-256 hash of the full token is stored.
+const parseToken = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const [prefix, id, secret, ...rest] = value.split('_');
+  if (prefix !== TOKEN_PREFIX || !id || !secret || rest.length > 0) {
+    return null;
+  }
+  return { id };
+};
+
+export const toPublicToken = ({ tokenHash, ...record }) => ({
+  ...record,
+  status: record.revokedAt
+    ? 'revoked'
+    : (Date.parse(record.expiresAt) <= Date.now() ? 'expired' : 'active')
+});
+
+export const createTokenStore = ({ filePath, logger }) => {
+  const tokens = new Map();
+
+  if (fs.existsSync(filePath)) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const record of Array.isArray(parsed?.tokens) ? parsed.tokens : []) {
+      tokens.set(record.id, record);
+    }
+  }
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ tokens: Array.from(tokens.values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const create = ({ name, scopes, prefix = null, bucket = null, expiresAt, createdBy }) => {
+    const id = crypto.randomBytes(6).toString('hex');
+    const token = `${TOKEN_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64url').replace(/_/g, '-')}`;
+    const record = {
+      id,
+      name,
+      scopes,
+      prefix,
+      bucket,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+      tokenHash: hashToken(token)
+    };
+
+    tokens.set(id, record);
+    persist();
+    return { token, record: toPublicToken(record) };
+  };
+
+  const revoke = (id) => {
+    const record = tokens.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      persist();
+    }
+    return toPublicToken(record);
+  };
+
+  const authenticate = (value) => {
+    const parsed = parseToken(value);
+    const record = parsed ? tokens.get(parsed.id) : null;
+    if (!record || record.revokedAt || Date.parse(record.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(value), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const previousUse = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - previousUse > LAST_USED_PERSIST_INTERVAL_MS) {
+      try {
+        persist();
+      } catch (error) {
+        logger?.warn?.('Failed to persist API token usage', { tokenId: record.id, error: error.message });
+      }
+    }
+
+    return record;
+  };
+
+  const isActive = (id) => {
+    const record = tokens.get(id);
+    return Boolean(record) && !record.revokedAt && Date.parse(record.expiresAt) > Date.now();
+  };
+
+  return {
+    create,
+    revoke,
+    authenticate,
+    isActive,
+    get: (id) => (tokens.has(id) ? toPublicToken(tokens.get(id)) : null),
+    list: () => Array.from(tokens.values())
+      .map(toPublicToken)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  };
+};
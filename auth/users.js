@@ -0,0 +1,217 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { normalizePrefixPolicy } from './policies.js';
+
+export const ROLES = ['viewer', 'uploader', 'admin'];
+export const DEFAULT_ROLE = 'viewer';
+
+const SCRYPT_PREFIX = 'scrypt';
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_DEFAULT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const VERIFIED_CREDENTIAL_TTL_MS = 5 * 60 * 1000;
+
+const scryptAsync = promisify(crypto.scrypt);
+
+export const hasRole = (role, requiredRole) => {
+  const roleIndex = ROLES.indexOf(role);
+  const requiredIndex = ROLES.indexOf(requiredRole);
+  return roleIndex >= 0 && requiredIndex >= 0 && roleIndex >= requiredIndex;
+};
+
+export const normalizeRole = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  return ROLES.includes(normalized) ? normalized : null;
+};
+
+// Hashes are stored as `scrypt$<N>$<r>$<p>$<salt>$<hash>` (salt and hash in
+// base64) so the cost parameters can be raised later without invalidating
+// existing entries.
+export const hashPassword = (password, { cost = SCRYPT_DEFAULT_COST } = {}) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, {
+    N: cost,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELIZATION
+  });
+
+  return [
+    SCRYPT_PREFIX,
+    cost,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELIZATION,
+    salt.toString('base64'),
+    hash.toString('base64')
+  ].join('$');
+};
+
+export const isPasswordHash = (value) => typeof value === 'string' && value.startsWith(`${SCRYPT_PREFIX}$`);
+
+// Verification runs on the libuv thread pool so login attempts do not block
+// the event loop.
+export const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || !isPasswordHash(storedHash)) {
+    return false;
+  }
+
+  const [, costRaw, blockSizeRaw, parallelizationRaw, saltRaw, hashRaw] = storedHash.split('$');
+  const cost = Number(costRaw);
+  const blockSize = Number(blockSizeRaw);
+  const parallelization = Number(parallelizationRaw);
+  if (![cost, blockSize, parallelization].every(Number.isInteger) || !saltRaw || !hashRaw) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashRaw, 'base64');
+  let actual;
+  try {
+    actual = await scryptAsync(password, Buffer.from(saltRaw, 'base64'), expected.length, {
+      N: cost,
+      r: blockSize,
+      p: parallelization,
+      maxmem: 256 * cost * blockSize
+    });
+  } catch (error) {
+    return false;
+  }
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const normalizeUserEntry = (entry, source) => {
+  const username = typeof entry?.username === 'string' ? entry.username.trim() : '';
+  const passwordHash = typeof entry?.passwordHash === 'string' ? entry.passwordHash.trim() : '';
+  const role = normalizeRole(entry?.role ?? DEFAULT_ROLE);
+
+  if (!username || username.includes(':')) {
+    return { error: `Invalid username in ${source}` };
+  }
+  if (!isPasswordHash(passwordHash)) {
+    return { error: `User "${username}" in ${source} must use a scrypt password hash` };
+  }
+  if (!role) {
+    return { error: `User "${username}" in ${source} has an unknown role "${entry.role}"` };
+  }
+
+  const { policy, error } = normalizePrefixPolicy(entry, `user "${username}" in ${source}`);
+  if (error) {
+    return { error };
+  }
+
+  return { user: { ...entry, username, passwordHash, role, policy } };
+};
+
+const parseUsersFile = (filePath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const parsed = JSON.parse(raw);
+  const entries = Array.isArray(parsed) ? parsed : parsed?.users;
+  if (!Array.isArray(entries)) {
+    throw new Error('Users file must contain an array or an object with a "users" array');
+  }
+  return entries;
+};
+
+// AUTH_USERS=alice:admin:scrypt$...,bob:viewer:scrypt$...
+const parseUsersEnv = (value) => value
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean)
+  .map((item) => {
+    const [username, role, ...hashParts] = item.split(':');
+    return { username, role, passwordHash: hashParts.join(':') };
+  });
+
+export const loadUserStore = ({ usersFile, usersEnv, adminPassword, logger } = {}) => {
+  const users = new Map();
+  const errors = [];
+
+  const addEntries = (entries, source) => {
+    for (const entry of entries) {
+      const { user, error } = normalizeUserEntry(entry, source);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      if (users.has(user.username)) {
+        logger?.warn?.('Duplicate user definition, keeping the later entry', { username: user.username, source });
+      }
+      users.set(user.username, user);
+    }
+  };
+
+  if (typeof usersFile === 'string' && usersFile.trim().length > 0) {
+    try {
+      addEntries(parseUsersFile(usersFile.trim()), usersFile.trim());
+    } catch (error) {
+      errors.push(`Failed to read users file ${usersFile.trim()}: ${error.message}`);
+    }
+  }
+
+  if (typeof usersEnv === 'string' && usersEnv.trim().length > 0) {
+    addEntries(parseUsersEnv(usersEnv), 'AUTH_USERS');
+  }
+
+  // The legacy single-password setup keeps working as an `admin` user unless
+  // the user store defines its own `admin`.
+  if (typeof adminPassword === 'string' && adminPassword.length > 0 && !users.has('admin')) {
+    users.set('admin', {
+      username: 'admin',
+      passwordHash: hashPassword(adminPassword),
+      role: 'admin',
+      policy: { rules: null, homePrefix: '' },
+      source: 'ADMIN_PASSWORD'
+    });
+  }
+
+  const verifiedCredentials = new Map();
+  // Unknown usernames still pay for one scrypt run so response times do not
+  // reveal which usernames exist.
+  const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  const authenticate = async (username, password) => {
+    const user = users.get(username);
+    if (!user) {
+      await verifyPassword(String(password), dummyPasswordHash);
+      return null;
+    }
+
+    const cacheKey = crypto
+      .createHash('sha256')
+      .update(`${username}\0${password}\0${user.passwordHash}`)
+      .digest('hex');
+    const cachedUntil = verifiedCredentials.get(cacheKey);
+    if (cachedUntil && cachedUntil > Date.now()) {
+      return user;
+    }
+
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+
+    verifiedCredentials.set(cacheKey, Date.now() + VERIFIED_CREDENTIAL_TTL_MS);
+    if (verifiedCredentials.size > 1000) {
+      const now = Date.now();
+      for (const [key, expiresAt] of verifiedCredentials) {
+        if (expiresAt <= now) {
+          verifiedCredentials.delete(key);
+        }
+      }
+    }
+
+    return user;
+  };
+
+  return {
+    errors,
+    size: users.size,
+    getUser: (username) => users.get(username) || null,
+    listUsers: () => Array.from(users.values()).map(({ username, role }) => ({ username, role })),
+    authenticate
+  };
+};
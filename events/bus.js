@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+
+// Fields every event of a type carries in `data`. Events may add more.
+export const EVENT_SCHEMAS = {
+  'object.created': ['key', 'size', 'etag', 'contentType', 'metadata', 'url', 'fileName'],
+  'object.deleted': ['key'],
+  'object.copied': ['key', 'sourceKey'],
+  'object.moved': ['key', 'sourceKey'],
+  'folder.created': ['prefix'],
+  'folder.deleted': ['prefix', 'deleted', 'failed'],
+  'folder.moved': ['prefix', 'sourcePrefix', 'moved', 'failed'],
+  'upload.started': ['key', 'uploadId', 'size', 'contentType'],
+  'upload.progress': ['key', 'uploadId', 'uploadedBytes', 'size'],
+  'upload.aborted': ['key', 'uploadId'],
+  'audio.extracted': ['jobId', 'source', 'audioUrl'],
+  'audio.split': ['jobId', 'source', 'count', 'segments']
+};
+
+export const EVENT_TYPES = Object.keys(EVENT_SCHEMAS);
+
+// Transient events only reach live subscribers: they get no id and are neither
+// written to the audit log nor replayed.
+export const TRANSIENT_EVENT_TYPES = new Set(['upload.progress']);
+
+const LAST_EVENT_READ_BYTES = 64 * 1024;
+
+// Keys and prefixes an event is about, used for prefix filters and access checks.
+export const eventPaths = ({ data = {} }) => [
+  data.key,
+  data.sourceKey,
+  data.prefix,
+  data.sourcePrefix,
+  data.source?.key,
+  ...(Array.isArray(data.keys) ? data.keys : [])
+].filter((value) => typeof value === 'string' && value);
+
+// A folder event also concerns every prefix below the folder.
+export const pathMatchesPrefix = (value, prefix) => value.startsWith(prefix)
+  || (value.endsWith('/') && prefix.startsWith(value));
+
+// Event ids continue from the last entry of the audit log, so only the tail of
+// the file is read.
+const readLastEventId = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return 0;
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, LAST_EVENT_READ_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n').filter(Boolean).reverse();
+    for (const line of lines) {
+      try {
+        const id = JSON.parse(line)?.id;
+        if (Number.isInteger(id)) {
+          return id;
+        }
+      } catch {
+        // The first line may be cut off by the read window.
+      }
+    }
+    return 0;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// In-process event bus. Every published event gets the next id, is appended to
+// the JSONL audit log at `logFile` and is then handed to the subscribers. The
+// last `bufferSize` events are kept so streaming clients can catch up after a
+// reconnect.
+export const createEventBus = ({ logFile, bufferSize = 1000, logger }) => {
+  let lastId = readLastEventId(logFile);
+  const recent = [];
+  const listeners = new Set();
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+  const publish = (type, { bucket = null, actor = null, data }) => {
+    const required = EVENT_SCHEMAS[type];
+    if (!required) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    const missing = required.filter((field) => data?.[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+    }
+
+    const transient = TRANSIENT_EVENT_TYPES.has(type);
+    if (!transient) {
+      lastId += 1;
+    }
+    const event = { id: transient ? null : lastId, type, createdAt: new Date().toISOString(), bucket, actor, data };
+
+    if (!transient) {
+      try {
+        fs.appendFileSync(logFile, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+      } catch (error) {
+        logger.error('Failed to write event to the audit log', { eventId: event.id, type, error: error.message });
+      }
+
+      recent.push(event);
+      if (recent.length > bufferSize) {
+        recent.shift();
+      }
+    }
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Event subscriber failed', { eventId: event.id, type, error: error.message });
+      }
+    }
+    return event;
+  };
+
+  return {
+    publish,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Buffered events after `id`, or null when older events have been dropped.
+    since: (id) => {
+      const oldest = recent.length > 0 ? recent[0].id : lastId + 1;
+      if (id < oldest - 1) {
+        return null;
+      }
+      return recent.filter((event) => event.id > id);
+    },
+    lastId: () => lastId
+  };
+};
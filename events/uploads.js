@@ -0,0 +1,54 @@
+// Follows multipart uploads through their events so clients connecting to the
+// event stream can be shown the uploads already in progress. Uploads whose
+// browser stopped reporting progress for `staleMs` are dropped.
+export const createUploadTracker = ({ bus, staleMs }) => {
+  const uploads = new Map();
+  const entryKey = (bucket, id) => `${bucket}:${id}`;
+
+  bus.subscribe((event) => {
+    const { key, uploadId: id } = event.data;
+    if (event.type === 'upload.started' || event.type === 'upload.progress') {
+      const previous = uploads.get(entryKey(event.bucket, id));
+      uploads.set(entryKey(event.bucket, id), {
+        bucket: event.bucket,
+        actor: event.actor,
+        key,
+        uploadId: id,
+        size: event.data.size ?? previous?.size ?? null,
+        uploadedBytes: event.data.uploadedBytes ?? previous?.uploadedBytes ?? 0,
+        updatedAt: Date.now()
+      });
+    } else if (event.type === 'upload.aborted') {
+      uploads.delete(entryKey(event.bucket, id));
+    } else if (event.type === 'object.created') {
+      for (const [entryId, upload] of uploads) {
+        if (upload.bucket === event.bucket && upload.key === key) {
+          uploads.delete(entryId);
+        }
+      }
+    }
+  });
+
+  // Returns the active uploads as `upload.progress` events.
+  const active = () => {
+    const now = Date.now();
+    const events = [];
+    for (const [entryId, upload] of uploads) {
+      if (now - upload.updatedAt > staleMs) {
+        uploads.delete(entryId);
+        continue;
+      }
+      events.push({
+        id: null,
+        type: 'upload.progress',
+        createdAt: new Date(upload.updatedAt).toISOString(),
+        bucket: upload.bucket,
+        actor: upload.actor,
+        data: { key: upload.key, uploadId: upload.uploadId, uploadedBytes: upload.uploadedBytes, size: upload.size }
+      });
+    }
+    return events;
+  };
+
+  return { active };
+};
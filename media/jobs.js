@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+const FFMPEG_TIME_PATTERN = /time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g;
+
+// Returns the last `time=HH:MM:SS.xx` position reported in an FFmpeg stats
+// line, in milliseconds, or null when the chunk has none.
+export const parseFfmpegTimeMs = (text) => {
+  let last = null;
+  for (const match of String(text).matchAll(FFMPEG_TIME_PATTERN)) {
+    last = match;
+  }
+  if (!last) {
+    return null;
+  }
+  const [, hours, minutes, seconds] = last;
+  return Math.round(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000);
+};
+
+// In-memory job runner. At most `concurrency` jobs run at a time and at most
+// `maxQueued` wait; finished jobs are kept for `retentionMs` so clients can
+// collect results.
+export const createJobQueue = ({ concurrency, maxQueued, retentionMs, logger }) => {
+  const jobs = new Map();
+  const waiting = [];
+  let active = 0;
+
+  const pruneFinished = () => {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (FINISHED_STATUSES.has(job.status) && now - job.finishedAt > retentionMs) {
+        jobs.delete(job.id);
+      }
+    }
+  };
+
+  const finish = (job, status, { result = null, error = null } = {}) => {
+    job.status = status;
+    job.result = result;
+    // Errors with a `publicMessage` are shown to clients as-is; `statusCode` is
+    // what a client waiting for the job synchronously is answered with.
+    if (status === 'cancelled') {
+      job.error = 'Job was cancelled';
+      job.statusCode = 409;
+    } else {
+      job.error = error ? (error.publicMessage || 'Job failed') : null;
+      job.statusCode = error ? (error.statusCode || 500) : 200;
+    }
+    job.finishedAt = Date.now();
+    job.controller = null;
+    job.resolveDone(job);
+  };
+
+  const start = async (job) => {
+    active += 1;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    logger.info('Job started', { jobId: job.id, type: job.type, owner: job.owner });
+
+    const { signal } = job.controller;
+    try {
+      const result = await job.run({
+        signal,
+        setProgress: (progress) => {
+          job.progress = { ...job.progress, ...progress };
+        }
+      });
+      if (signal.aborted) {
+        finish(job, 'cancelled');
+      } else {
+        finish(job, 'succeeded', { result });
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        finish(job, 'cancelled');
+      } else {
+        finish(job, 'failed', { error });
+        logger.warn('Job failed', { jobId: job.id, type: job.type, error: error.message });
+      }
+    } finally {
+      active -= 1;
+      logger.info('Job finished', {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        durationMs: job.finishedAt - job.startedAt
+      });
+      startNext();
+    }
+  };
+
+  const startNext = () => {
+    while (active < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  };
+
+  // Returns null when the queue is full. `run({ signal, setProgress })`
+  // resolves to the job result and must stop its work when `signal` aborts.
+  const submit = ({ type, owner, run, onFinish }) => {
+    pruneFinished();
+    if (waiting.length >= maxQueued) {
+      return null;
+    }
+
+    let resolveDone;
+    const done = new Promise((resolve) => {
+      resolveDone = resolve;
+    });
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      statusCode: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController(),
+      run,
+      done,
+      resolveDone
+    };
+    if (onFinish) {
+      done.then(onFinish).catch((error) => logger.warn('Job cleanup failed', { jobId: job.id, error: error.message }));
+    }
+
+    jobs.set(job.id, job);
+    waiting.push(job);
+    logger.info('Job queued', { jobId: job.id, type, owner, queued: waiting.length, running: active });
+    startNext();
+    return job;
+  };
+
+  const get = (id) => {
+    pruneFinished();
+    return jobs.get(id) || null;
+  };
+
+  const list = (owner = null) => {
+    pruneFinished();
+    return Array.from(jobs.values()).filter((job) => owner === null || job.owner === owner);
+  };
+
+  // Queued jobs are dropped straight away; running jobs finish as cancelled
+  // once their work has stopped.
+  const cancel = (job) => {
+    if (FINISHED_STATUSES.has(job.status)) {
+      return false;
+    }
+
+    job.controller.abort();
+    const index = waiting.indexOf(job);
+    if (index >= 0) {
+      waiting.splice(index, 1);
+      finish(job, 'cancelled');
+    }
+    logger.info('Job cancelled', { jobId: job.id, type: job.type });
+    return true;
+  };
+
+  const toPublicJob = (job) => ({
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    queuePosition: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  });
+
+  return {
+    submit,
+    get,
+    list,
+    cancel,
+    toPublicJob,
+    stats: () => ({ running: active, queued: waiting.length })
+  };
+};
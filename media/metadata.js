@@ -0,0 +1,85 @@
+import path from 'path';
+import { THUMBNAIL_IMAGE_EXTENSIONS } from './thumbnails.js';
+
+// Bumped when the stored summary changes shape so old sidecars are re-probed.
+export const MEDIA_METADATA_VERSION = 1;
+
+// Network reads that stall for this long fail the probe instead of blocking the queue.
+const PROBE_READ_TIMEOUT_MICROSECONDS = 30 * 1000 * 1000;
+
+const CREATION_DATE_TAGS = ['com.apple.quicktime.creationdate', 'creation_time', 'date'];
+
+export const metadataKeyFor = (derivativesPrefix, key) => `${derivativesPrefix}metadata/${key}.json`;
+
+export const mediaSourceKind = (key, { videoExtensions, audioExtensions }) => {
+  const extension = path.posix.extname(key).toLowerCase();
+  if (videoExtensions.has(extension)) {
+    return 'video';
+  }
+  if (audioExtensions.has(extension)) {
+    return 'audio';
+  }
+  return THUMBNAIL_IMAGE_EXTENSIONS.has(extension) ? 'image' : null;
+};
+
+// FFprobe reads the container headers through a presigned URL with range
+// requests, so large files are not downloaded.
+export const buildProbeArgs = (input) => [
+  '-v', 'error',
+  '-rw_timeout', String(PROBE_READ_TIMEOUT_MICROSECONDS),
+  '-print_format', 'json',
+  '-show_format',
+  '-show_streams',
+  input
+];
+
+const toNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+const parseFrameRate = (value) => {
+  const [numerator, denominator = 1] = String(value || '').split('/').map(Number);
+  const rate = numerator / denominator;
+  return Number.isFinite(rate) && rate > 0 ? Math.round(rate * 1000) / 1000 : null;
+};
+
+const findTag = (tags = {}) => {
+  const lowerCased = Object.fromEntries(Object.entries(tags).map(([name, value]) => [name.toLowerCase(), value]));
+  const name = CREATION_DATE_TAGS.find((tag) => lowerCased[tag]);
+  return name ? String(lowerCased[name]) : null;
+};
+
+// Reduces `ffprobe -show_format -show_streams` JSON to the fields shown in the
+// dashboard. Cover art embedded in audio files is not reported as video.
+export const summarizeProbe = (probe) => {
+  const format = probe?.format || {};
+  const streams = Array.isArray(probe?.streams) ? probe.streams : [];
+  const video = streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+  const duration = toNumber(format.duration) ?? toNumber(video?.duration) ?? toNumber(audio?.duration);
+
+  return {
+    format: format.format_long_name || format.format_name || null,
+    durationMs: duration === null ? null : Math.round(duration * 1000),
+    bitRate: toNumber(format.bit_rate),
+    creationDate: findTag(format.tags) || streams.map((stream) => findTag(stream.tags)).find(Boolean) || null,
+    video: video ? {
+      codec: video.codec_name || null,
+      profile: video.profile || null,
+      width: toNumber(video.width),
+      height: toNumber(video.height),
+      frameRate: parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate),
+      bitRate: toNumber(video.bit_rate),
+      pixelFormat: video.pix_fmt || null
+    } : null,
+    audio: audio ? {
+      codec: audio.codec_name || null,
+      channels: toNumber(audio.channels),
+      channelLayout: audio.channel_layout || null,
+      sampleRate: toNumber(audio.sample_rate),
+      bitRate: toNumber(audio.bit_rate)
+    } : null,
+    streams: streams.map((stream) => ({ index: stream.index, type: stream.codec_type || null, codec: stream.codec_name || null }))
+  };
+};
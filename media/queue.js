@@ -0,0 +1,106 @@
+const MAX_QUEUED_OBJECTS = 10_000;
+const MAX_REMEMBERED_FAILURES = 10_000;
+const FAILURE_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Runs background work for one object at a time. A key that is already
+// waiting is not queued twice, and keys that failed recently are skipped
+// unless the request is forced. Work requested on behalf of an `owner` (a user
+// or token rather than the server itself) is limited to `maxQueuedPerOwner`
+// waiting keys per owner.
+export const createObjectQueue = ({
+  label,
+  run,
+  logger,
+  maxQueuedPerOwner = Infinity,
+  maxFailures = MAX_REMEMBERED_FAILURES,
+  retryDelayMs = FAILURE_RETRY_DELAY_MS
+}) => {
+  const queue = [];
+  const queued = new Set();
+  const queuedByOwner = new Map();
+  const failures = new Map();
+  let running = false;
+
+  const idFor = (bucket, key) => `${bucket.id}\u0000${key}`;
+
+  // Failures are kept in the order they happened, so expired entries and, past
+  // `maxFailures`, the oldest ones are dropped from the front.
+  const rememberFailure = (id) => {
+    const now = Date.now();
+    failures.delete(id);
+    failures.set(id, now);
+    for (const [failedId, failedAt] of failures) {
+      if (failures.size <= maxFailures && now - failedAt < retryDelayMs) {
+        break;
+      }
+      failures.delete(failedId);
+    }
+  };
+
+  const drain = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    while (queue.length > 0) {
+      const job = queue.shift();
+      queued.delete(job.id);
+      if (job.owner !== null) {
+        const remaining = queuedByOwner.get(job.owner) - 1;
+        if (remaining > 0) {
+          queuedByOwner.set(job.owner, remaining);
+        } else {
+          queuedByOwner.delete(job.owner);
+        }
+      }
+      try {
+        await run(job.bucket, job.key);
+        failures.delete(job.id);
+      } catch (error) {
+        rememberFailure(job.id);
+        logger.warn(`${label} failed`, { bucket: job.bucket.id, key: job.key, error: error.message });
+      }
+    }
+    running = false;
+  };
+
+  const recentlyFailed = (id) => {
+    if (failures.has(id) && Date.now() - failures.get(id) >= retryDelayMs) {
+      failures.delete(id);
+    }
+    return failures.has(id);
+  };
+
+  const enqueue = (bucket, key, { force = false, owner = null } = {}) => {
+    const id = idFor(bucket, key);
+    if (queued.has(id) || queue.length >= MAX_QUEUED_OBJECTS) {
+      return false;
+    }
+    if (!force && recentlyFailed(id)) {
+      return false;
+    }
+    if (owner !== null && (queuedByOwner.get(owner) || 0) >= maxQueuedPerOwner) {
+      return false;
+    }
+
+    queued.add(id);
+    if (owner !== null) {
+      queuedByOwner.set(owner, (queuedByOwner.get(owner) || 0) + 1);
+    }
+    queue.push({ id, bucket, key, owner });
+    drain();
+    return true;
+  };
+
+  // 'queued' while waiting, 'failed' after a recent failure, otherwise null.
+  const status = (bucket, key) => {
+    const id = idFor(bucket, key);
+    if (queued.has(id)) {
+      return 'queued';
+    }
+    return recentlyFailed(id) ? 'failed' : null;
+  };
+
+  return { enqueue, status, size: () => queue.length, failureCount: () => failures.size };
+};
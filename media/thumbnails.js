@@ -0,0 +1,30 @@
+import path from 'path';
+
+export const THUMBNAIL_WIDTH = 320;
+export const THUMBNAIL_IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.tif', '.tiff']);
+// Poster frames are taken a little into the video to skip black lead-in frames.
+export const POSTER_FRAME_SECONDS = 1;
+
+export const thumbnailKeyFor = (derivativesPrefix, key) => `${derivativesPrefix}thumbnails/${key}.jpg`;
+
+export const thumbnailSourceKind = (key, videoExtensions) => {
+  const extension = path.posix.extname(key).toLowerCase();
+  if (videoExtensions.has(extension)) {
+    return 'video';
+  }
+  return THUMBNAIL_IMAGE_EXTENSIONS.has(extension) ? 'image' : null;
+};
+
+// FFmpeg reads the source straight from a presigned URL, so a poster frame
+// only downloads the byte ranges around the seek position.
+export const buildThumbnailArgs = ({ input, output, seekSeconds = 0 }) => [
+  '-hide_banner',
+  '-loglevel', 'error',
+  '-y',
+  ...(seekSeconds > 0 ? ['-ss', String(seekSeconds)] : []),
+  '-i', input,
+  '-frames:v', '1',
+  '-vf', `scale='min(${THUMBNAIL_WIDTH},iw)':-2`,
+  '-q:v', '4',
+  output
+];
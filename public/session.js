@@ -0,0 +1,105 @@
+// Shared by the dashboard pages: loads the signed-in user, attaches the CSRF
+// token and the selected bucket to API requests and returns to the login page
+// once the session ends.
+let csrfToken = null;
+let activeBucket = null;
+
+const BUCKET_STORAGE_KEY = 's3ui-bucket';
+
+function redirectToLogin() {
+  const next = encodeURIComponent(`${window.location.pathname}${window.location.search}`);
+  window.location.assign(`/login.html?next=${next}`);
+}
+
+function withActiveBucket(url) {
+  if (!activeBucket || typeof url !== 'string' || !url.startsWith('/api/')) {
+    return url;
+  }
+
+  const target = new URL(url, window.location.origin);
+  if (!target.searchParams.has('bucket')) {
+    target.searchParams.set('bucket', activeBucket);
+  }
+  return `${target.pathname}${target.search}`;
+}
+
+async function apiFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = new Headers(options.headers || {});
+  if (csrfToken && method !== 'GET' && method !== 'HEAD') {
+    headers.set('X-CSRF-Token', csrfToken);
+  }
+
+  const response = await fetch(withActiveBucket(url), { ...options, headers });
+  if (response.status === 401) {
+    redirectToLogin();
+  }
+  return response;
+}
+
+async function loadSession() {
+  const response = await apiFetch('/api/me', { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Failed to load session: ${response.status}`);
+  }
+
+  const user = await response.json();
+  csrfToken = user.csrfToken || null;
+  return user;
+}
+
+// Fills a bucket <select> with the buckets available to the user, restores the
+// last choice and only shows the control when there is something to pick.
+async function initBucketSelect(select, { container = select, onChange } = {}) {
+  const response = await apiFetch('/api/buckets', { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Failed to load buckets: ${response.status}`);
+  }
+
+  const { defaultBucket, buckets = [] } = await response.json();
+  let saved = null;
+  try {
+    saved = localStorage.getItem(BUCKET_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Failed to read the selected bucket', error);
+  }
+
+  activeBucket = buckets.some((bucket) => bucket.id === saved) ? saved : defaultBucket;
+  select.innerHTML = '';
+  for (const bucket of buckets) {
+    const option = document.createElement('option');
+    option.value = bucket.id;
+    option.textContent = bucket.label;
+    select.appendChild(option);
+  }
+  select.value = activeBucket || '';
+  container.hidden = buckets.length < 2;
+
+  select.addEventListener('change', () => {
+    activeBucket = select.value;
+    try {
+      localStorage.setItem(BUCKET_STORAGE_KEY, activeBucket);
+    } catch (error) {
+      console.warn('Failed to persist the selected bucket', error);
+    }
+    onChange?.(activeBucket);
+  });
+
+  return activeBucket;
+}
+
+async function logout() {
+  try {
+    await apiFetch('/api/logout', { method: 'POST' });
+  } finally {
+    window.location.assign('/login.html');
+  }
+}
+
+document.addEventListener('click', (event) => {
+  const trigger = event.target.closest('[data-logout]');
+  if (trigger) {
+    event.preventDefault();
+    logout();
+  }
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import { resolveBucket, resolveForcePathStyle } from './utils.js';
+import { PROVIDER_NAMES, resolveProviderProfile } from './providers.js';
+
+const BUCKET_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+const REQUIRED_FIELDS = ['bucket', 'endpoint', 'region', 'accessKeyId', 'secretAccessKey'];
+
+const readBucketsFile = (filePath) => {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed?.buckets;
+  if (!Array.isArray(entries)) {
+    throw new Error('Buckets file must contain an array or an object with a "buckets" array');
+  }
+  return entries;
+};
+
+// Buckets come from BUCKETS_FILE, the comma-separated S3_BUCKETS list or the
+// single legacy bucket variable, in that order. Missing connection settings
+// fall back to the S3_* environment variables so buckets on the same account
+// only need a name.
+export const loadBucketConfigs = ({ env = process.env, bucketsFile = env.BUCKETS_FILE } = {}) => {
+  const errors = [];
+  const defaults = {
+    endpoint: env.S3_ENDPOINT,
+    region: env.S3_REGION,
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: env.FORCE_PATH_STYLE,
+    provider: env.S3_PROVIDER
+  };
+
+  let entries;
+  if (typeof bucketsFile === 'string' && bucketsFile.trim().length > 0) {
+    try {
+      entries = readBucketsFile(bucketsFile.trim());
+    } catch (error) {
+      return { buckets: [], errors: [`Failed to read buckets file ${bucketsFile.trim()}: ${error.message}`] };
+    }
+  } else if (typeof env.S3_BUCKETS === 'string' && env.S3_BUCKETS.trim().length > 0) {
+    entries = env.S3_BUCKETS.split(',').map((name) => name.trim()).filter(Boolean).map((bucket) => ({ bucket }));
+  } else {
+    entries = [{ bucket: resolveBucket(env) }];
+  }
+
+  const buckets = [];
+  const seenIds = new Set();
+  for (const entry of entries) {
+    const config = { ...defaults };
+    for (const [field, value] of Object.entries(entry || {})) {
+      if (value !== undefined && value !== null && value !== '') {
+        config[field] = value;
+      }
+    }
+
+    const id = String(config.id || config.bucket || '').trim();
+    const missing = REQUIRED_FIELDS.filter((field) => typeof config[field] !== 'string' || config[field].trim().length === 0);
+    if (missing.length > 0) {
+      errors.push(`Bucket "${id || '(unnamed)'}" is missing: ${missing.join(', ')}`);
+      continue;
+    }
+    if (!BUCKET_ID_PATTERN.test(id)) {
+      errors.push(`Bucket id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+      continue;
+    }
+    if (seenIds.has(id)) {
+      errors.push(`Bucket id "${id}" is defined more than once`);
+      continue;
+    }
+    seenIds.add(id);
+
+    const { profile, invalidValue: invalidProvider } = resolveProviderProfile({
+      provider: config.provider,
+      endpoint: config.endpoint
+    });
+    if (!profile) {
+      errors.push(`Bucket "${id}" uses unknown provider "${invalidProvider}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+      continue;
+    }
+
+    // Without an explicit setting the provider profile decides the addressing style.
+    const { value: forcePathStyle, invalidValue } = resolveForcePathStyle(config.forcePathStyle, profile.forcePathStyle);
+    // An invalid FORCE_PATH_STYLE is reported by the server and falls back to
+    // the profile's addressing style; invalid per-bucket values are rejected.
+    if (invalidValue && config.forcePathStyle !== defaults.forcePathStyle) {
+      errors.push(`Bucket "${id}" has an invalid forcePathStyle value "${invalidValue}"`);
+      continue;
+    }
+
+    buckets.push({
+      id,
+      label: typeof config.label === 'string' && config.label.trim() ? config.label.trim() : id,
+      name: config.bucket.trim(),
+      endpoint: config.endpoint.trim(),
+      region: config.region.trim(),
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+      forcePathStyle,
+      profile
+    });
+  }
+
+  return { buckets, errors };
+};
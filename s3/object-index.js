@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+
+export const INDEX_SORT_FIELDS = ['name', 'size', 'lastModified'];
+
+// Upper bound for range scans over keys that start with a prefix.
+const MAX_CHARACTER = '\u{10FFFF}';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS objects (
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    parent TEXT NOT NULL,
+    name TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    last_modified INTEGER,
+    etag TEXT,
+    generation INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (bucket, key)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS objects_by_parent ON objects (bucket, parent);
+  CREATE TABLE IF NOT EXISTS scans (
+    bucket TEXT PRIMARY KEY,
+    generation INTEGER NOT NULL DEFAULT 0,
+    started_at INTEGER,
+    completed_at INTEGER,
+    object_count INTEGER
+  );
+`;
+
+const splitKey = (key) => {
+  const trimmed = key.endsWith('/') ? key.slice(0, -1) : key;
+  const slash = trimmed.lastIndexOf('/');
+  return {
+    parent: slash >= 0 ? key.slice(0, slash + 1) : '',
+    name: key.slice(slash + 1)
+  };
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (character) => `\\${character}`);
+
+const toTimestamp = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const parsed = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toIsoDate = (value) => (value === null || value === undefined ? null : new Date(value).toISOString());
+
+// SQLite mirror of bucket listings. The app updates it on its own writes and a
+// periodic reconciliation scan catches changes made by other S3 clients.
+// better-sqlite3 is an optional dependency, so it is only loaded when enabled.
+// Keys below `hiddenPrefix` are kept in the index but left out of totals.
+export const createObjectIndex = async ({ filePath, hiddenPrefix = '' }) => {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(`The object index requires the optional "better-sqlite3" package (${error.message})`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    generation: db.prepare('SELECT generation FROM scans WHERE bucket = ?'),
+    scanStatus: db.prepare('SELECT generation, started_at, completed_at, object_count FROM scans WHERE bucket = ?'),
+    startScan: db.prepare(`
+      INSERT INTO scans (bucket, generation, started_at) VALUES (@bucket, @generation, @now)
+      ON CONFLICT (bucket) DO UPDATE SET generation = @generation, started_at = @now
+    `),
+    completeScan: db.prepare('UPDATE scans SET completed_at = @now, object_count = @objectCount WHERE bucket = @bucket'),
+    upsert: db.prepare(`
+      INSERT INTO objects (bucket, key, parent, name, size, last_modified, etag, generation)
+      VALUES (@bucket, @key, @parent, @name, @size, @lastModified, @etag, @generation)
+      ON CONFLICT (bucket, key) DO UPDATE SET
+        size = excluded.size,
+        last_modified = excluded.last_modified,
+        etag = excluded.etag,
+        generation = excluded.generation
+    `),
+    get: db.prepare('SELECT size, last_modified, etag FROM objects WHERE bucket = ? AND key = ?'),
+    remove: db.prepare('DELETE FROM objects WHERE bucket = ? AND key = ?'),
+    removeRange: db.prepare('DELETE FROM objects WHERE bucket = ? AND key >= ? AND key < ?'),
+    removeStale: db.prepare('DELETE FROM objects WHERE bucket = ? AND generation < ?'),
+    rangeFrom: db.prepare(`
+      SELECT key, size, last_modified FROM objects
+      WHERE bucket = ? AND key >= ? AND key < ? ORDER BY key LIMIT ?
+    `),
+    rangeAfter: db.prepare(`
+      SELECT key, size, last_modified FROM objects
+      WHERE bucket = ? AND key > ? AND key < ? ORDER BY key LIMIT ?
+    `)
+  };
+
+  // An empty range when nothing is hidden, so the exclusion never matches.
+  const hiddenRange = {
+    hidden: hiddenPrefix,
+    hiddenUpper: hiddenPrefix ? `${hiddenPrefix}${MAX_CHARACTER}` : ''
+  };
+
+  const currentGeneration = (bucketId) => statements.generation.get(bucketId)?.generation || 0;
+
+  const upsert = (bucketId, { key, size, lastModified, etag }) => {
+    statements.upsert.run({
+      bucket: bucketId,
+      key,
+      ...splitKey(key),
+      size: Number(size) || 0,
+      lastModified: toTimestamp(lastModified),
+      etag: etag || null,
+      generation: currentGeneration(bucketId)
+    });
+  };
+
+  const remove = (bucketId, key) => {
+    statements.remove.run(bucketId, key);
+  };
+
+  // Removes everything below the prefix apart from keys that still exist,
+  // such as objects whose deletion failed.
+  const removePrefix = db.transaction((bucketId, prefix, { except = [] } = {}) => {
+    const kept = except
+      .map((key) => ({ key, row: statements.get.get(bucketId, key) }))
+      .filter(({ row }) => row);
+    statements.removeRange.run(bucketId, prefix, `${prefix}${MAX_CHARACTER}`);
+    for (const { key, row } of kept) {
+      upsert(bucketId, { key, size: row.size, lastModified: row.last_modified, etag: row.etag });
+    }
+  });
+
+  // Copies reuse the indexed size of the source so folder copies do not need
+  // a HeadObject request per key.
+  const copy = (bucketId, sourceKey, destinationKey, { etag } = {}) => {
+    const source = statements.get.get(bucketId, sourceKey);
+    if (!source) {
+      return false;
+    }
+    upsert(bucketId, { key: destinationKey, size: source.size, lastModified: new Date(), etag: etag || source.etag });
+    return true;
+  };
+
+  const insertPage = db.transaction((bucketId, objects, generation) => {
+    for (const object of objects) {
+      statements.upsert.run({
+        bucket: bucketId,
+        key: object.Key,
+        ...splitKey(object.Key),
+        size: object.Size || 0,
+        lastModified: toTimestamp(object.LastModified),
+        etag: object.ETag || null,
+        generation
+      });
+    }
+  });
+
+  const runningScans = new Set();
+
+  // Lists the whole bucket and drops rows that were not seen. Writes made by
+  // the app during the scan carry the new generation and are kept.
+  const reconcile = async (bucketId, pages) => {
+    if (runningScans.has(bucketId)) {
+      return null;
+    }
+
+    runningScans.add(bucketId);
+    try {
+      const generation = currentGeneration(bucketId) + 1;
+      statements.startScan.run({ bucket: bucketId, generation, now: Date.now() });
+
+      let objectCount = 0;
+      for await (const objects of pages) {
+        insertPage(bucketId, objects, generation);
+        objectCount += objects.length;
+      }
+
+      const { changes: removed } = statements.removeStale.run(bucketId, generation);
+      statements.completeScan.run({ bucket: bucketId, now: Date.now(), objectCount });
+      return { objectCount, removed };
+    } finally {
+      runningScans.delete(bucketId);
+    }
+  };
+
+  const status = (bucketId) => {
+    const row = statements.scanStatus.get(bucketId);
+    return {
+      ready: Boolean(row?.completed_at),
+      scanning: runningScans.has(bucketId),
+      lastScanStartedAt: toIsoDate(row?.started_at ?? null),
+      lastScanCompletedAt: toIsoDate(row?.completed_at ?? null),
+      objectCount: row?.object_count ?? null
+    };
+  };
+
+  // Yields every indexed key below the prefix in pages. Each page is a separate
+  // query so other requests can use the connection between pages.
+  function* iterateObjects(bucketId, prefix, pageSize = 1000) {
+    const upper = `${prefix}${MAX_CHARACTER}`;
+    let rows = statements.rangeFrom.all(bucketId, prefix, upper, pageSize);
+    while (rows.length > 0) {
+      yield rows.map((row) => ({ key: row.key, size: row.size, lastModified: row.last_modified }));
+      if (rows.length < pageSize) {
+        return;
+      }
+      rows = statements.rangeAfter.all(bucketId, rows[rows.length - 1].key, upper, pageSize);
+    }
+  }
+
+  // First path segment below the prefix including its slash, or '' for keys
+  // directly in the prefix.
+  const FOLDER = "substr(key, @length + 1, instr(substr(key, @length + 1), '/'))";
+
+  const ORDER_COLUMNS = {
+    files: { name: 'name COLLATE NOCASE', size: 'size', lastModified: 'last_modified' },
+    folders: { name: 'folder COLLATE NOCASE', size: 'size', lastModified: 'lastModified' }
+  };
+
+  // Direct children of a prefix: sub-folders with their total size and object
+  // count, then files, each sorted across the whole prefix. Folders are only
+  // part of the first page; files are paged with limit/offset. Folder totals
+  // and the prefix summary come from one grouped pass over the prefix range;
+  // direct files fall into the '' group.
+  const listChildren = (bucketId, prefix, { sort = 'name', order = 'asc', query = '', limit = 1000, offset = 0 } = {}) => {
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    const pattern = query ? `%${escapeLike(query)}%` : null;
+    const params = { bucket: bucketId, prefix, upper: `${prefix}${MAX_CHARACTER}`, length: prefix.length, pattern };
+
+    const groups = db.prepare(`
+      SELECT ${FOLDER} AS folder,
+        SUM(CASE WHEN substr(key, -1) = '/' THEN 0 ELSE 1 END) AS objectCount,
+        SUM(size) AS size,
+        MAX(last_modified) AS lastModified,
+        ${pattern ? `${FOLDER} LIKE @pattern ESCAPE '\\'` : '1'} AS matches,
+        SUM(SUM(CASE WHEN substr(key, -1) = '/' THEN 0 ELSE 1 END)) OVER () AS totalCount,
+        SUM(SUM(size)) OVER () AS totalSize
+      FROM objects
+      WHERE bucket = @bucket AND key >= @prefix AND key < @upper
+        AND NOT (key >= @hidden AND key < @hiddenUpper)
+      GROUP BY folder
+      ORDER BY ${ORDER_COLUMNS.folders[sort]} ${direction}, folder ASC
+    `).all({ ...params, ...hiddenRange });
+    const folders = offset > 0 ? [] : groups.filter((row) => row.folder !== '' && row.matches);
+
+    const fileFilter = `bucket = @bucket AND parent = @prefix AND substr(key, -1) <> '/'${pattern ? " AND name LIKE @pattern ESCAPE '\\'" : ''}`;
+    const files = db.prepare(`
+      SELECT key, size, last_modified FROM objects
+      WHERE ${fileFilter}
+      ORDER BY ${ORDER_COLUMNS.files[sort]} ${direction}, key ASC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM objects WHERE ${fileFilter}`).get(params);
+
+    return {
+      folders: folders.map((row) => ({
+        prefix: `${prefix}${row.folder}`,
+        objectCount: row.objectCount,
+        size: row.size,
+        lastModified: toIsoDate(row.lastModified)
+      })),
+      files: files.map((row) => ({ key: row.key, size: row.size, lastModified: toIsoDate(row.last_modified) })),
+      totalFiles: total,
+      summary: { objectCount: groups[0]?.totalCount ?? 0, size: groups[0]?.totalSize ?? 0 },
+      nextOffset: offset + files.length < total ? offset + files.length : null
+    };
+  };
+
+  return {
+    upsert,
+    remove,
+    removePrefix,
+    copy,
+    reconcile,
+    status,
+    listChildren,
+    iterateObjects,
+    close: () => db.close()
+  };
+};
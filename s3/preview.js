@@ -0,0 +1,118 @@
+import path from 'path';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+export const PREVIEW_KINDS = ['video', 'audio', 'image', 'pdf', 'text'];
+
+// Content types sent with preview URLs so browsers play or display objects
+// that were stored as application/octet-stream.
+const MEDIA_CONTENT_TYPES = new Map([
+  ['.3gp', 'video/3gpp'],
+  ['.m4v', 'video/mp4'],
+  ['.mkv', 'video/x-matroska'],
+  ['.mov', 'video/quicktime'],
+  ['.mp4', 'video/mp4'],
+  ['.mpeg', 'video/mpeg'],
+  ['.mpg', 'video/mpeg'],
+  ['.ogv', 'video/ogg'],
+  ['.webm', 'video/webm'],
+  ['.mp3', 'audio/mpeg'],
+  ['.wav', 'audio/wav'],
+  ['.m4a', 'audio/mp4'],
+  ['.flac', 'audio/flac'],
+  ['.ogg', 'audio/ogg'],
+  ['.oga', 'audio/ogg'],
+  ['.png', 'image/png'],
+  ['.jpg', 'image/jpeg'],
+  ['.jpeg', 'image/jpeg'],
+  ['.gif', 'image/gif'],
+  ['.webp', 'image/webp'],
+  ['.avif', 'image/avif'],
+  ['.bmp', 'image/bmp'],
+  ['.svg', 'image/svg+xml'],
+  ['.ico', 'image/x-icon'],
+  ['.pdf', 'application/pdf']
+]);
+
+// Text previews are highlighted by format; anything else is shown as plain text.
+const TEXT_FORMATS = new Map([
+  ['.json', 'json'],
+  ['.geojson', 'json'],
+  ['.csv', 'csv'],
+  ['.tsv', 'tsv'],
+  ...['.txt', '.md', '.log', '.srt', '.vtt', '.xml', '.yaml', '.yml', '.ini', '.conf', '.env', '.html', '.htm', '.css',
+    '.js', '.mjs', '.ts', '.py', '.sh', '.sql', '.toml'].map((extension) => [extension, 'plain'])
+]);
+
+const GENERIC_CONTENT_TYPES = new Set(['', 'application/octet-stream', 'binary/octet-stream']);
+
+const kindFromContentType = (contentType) => {
+  if (contentType === 'application/pdf') {
+    return 'pdf';
+  }
+  if (contentType === 'application/json' || contentType.startsWith('text/')) {
+    return 'text';
+  }
+  const [type] = contentType.split('/');
+  return ['video', 'audio', 'image'].includes(type) ? type : null;
+};
+
+// Works out how an object can be previewed from its extension, falling back to
+// the stored content type. Returns `kind: null` for objects without a preview.
+export const resolvePreview = ({ key, contentType, videoExtensions, audioExtensions }) => {
+  const extension = path.posix.extname(key).toLowerCase();
+  const storedType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  let kind = null;
+  if (videoExtensions.has(extension)) {
+    kind = 'video';
+  } else if (audioExtensions.has(extension)) {
+    kind = 'audio';
+  } else if (TEXT_FORMATS.has(extension)) {
+    kind = 'text';
+  } else if (MEDIA_CONTENT_TYPES.has(extension)) {
+    kind = kindFromContentType(MEDIA_CONTENT_TYPES.get(extension));
+  } else {
+    kind = kindFromContentType(storedType);
+  }
+
+  if (kind === 'text') {
+    // Text is always served as plain text so markup never renders from the bucket.
+    const format = TEXT_FORMATS.get(extension) || (storedType === 'application/json' ? 'json' : 'plain');
+    return { kind, format, contentType: 'text/plain; charset=utf-8' };
+  }
+
+  const responseType = GENERIC_CONTENT_TYPES.has(storedType) ? MEDIA_CONTENT_TYPES.get(extension) : null;
+  return { kind, format: null, contentType: responseType || null };
+};
+
+// SigV4 presigned URLs cannot be valid for longer than seven days.
+export const MAX_PRESIGNED_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+export const buildContentDisposition = (fileName, type = 'attachment') => {
+  const asciiFallback = fileName
+    .replace(/[^\x20-\x7E]/g, '_')
+    .replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${asciiFallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Presigned GET named after the key's base name, as an `attachment` for
+// downloads or `inline` for previews. The expiry is clamped to what SigV4
+// accepts.
+export const presignObjectUrl = async (bucket, key, { disposition = 'attachment', contentType = null, expiresIn }) => {
+  const seconds = Math.min(Math.max(Math.floor(expiresIn) || 1, 1), MAX_PRESIGNED_URL_EXPIRY_SECONDS);
+  const command = new GetObjectCommand({
+    Bucket: bucket.name,
+    Key: key,
+    ResponseContentDisposition: buildContentDisposition(path.posix.basename(key), disposition),
+    ...(contentType ? { ResponseContentType: contentType } : {})
+  });
+
+  return {
+    url: await getSignedUrl(bucket.client, command, { expiresIn: seconds }),
+    expiresIn: seconds,
+    expiresAt: new Date(Date.now() + seconds * 1000).toISOString()
+  };
+};
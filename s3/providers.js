@@ -0,0 +1,111 @@
+import { getEndpointHost } from './utils.js';
+
+// Capabilities of the S3-compatible services we run against. Deployments pick
+// a profile with S3_PROVIDER (or `provider` per bucket); otherwise it is
+// detected from the endpoint host and falls back to `generic`.
+export const PROVIDER_PROFILES = {
+  hetzner: {
+    label: 'Hetzner Object Storage',
+    endpointSuffixes: ['.your-objectstorage.com'],
+    forcePathStyle: false,
+    signingEscapePath: false,
+    supportsChecksums: false,
+    supportsCorsApi: true,
+    maxPartCount: 10_000,
+    requiresSdkPin: true
+  },
+  aws: {
+    label: 'Amazon S3',
+    endpointSuffixes: ['.amazonaws.com'],
+    forcePathStyle: false,
+    signingEscapePath: true,
+    supportsChecksums: true,
+    supportsCorsApi: true,
+    maxPartCount: 10_000,
+    requiresSdkPin: false
+  },
+  minio: {
+    label: 'MinIO',
+    endpointSuffixes: [],
+    forcePathStyle: true,
+    signingEscapePath: true,
+    supportsChecksums: true,
+    supportsCorsApi: false,
+    maxPartCount: 10_000,
+    requiresSdkPin: false
+  },
+  r2: {
+    label: 'Cloudflare R2',
+    endpointSuffixes: ['.r2.cloudflarestorage.com'],
+    forcePathStyle: true,
+    signingEscapePath: true,
+    supportsChecksums: false,
+    supportsCorsApi: true,
+    maxPartCount: 10_000,
+    requiresSdkPin: false
+  },
+  backblaze: {
+    label: 'Backblaze B2',
+    endpointSuffixes: ['.backblazeb2.com'],
+    forcePathStyle: false,
+    signingEscapePath: true,
+    supportsChecksums: false,
+    supportsCorsApi: false,
+    maxPartCount: 10_000,
+    requiresSdkPin: false
+  },
+  generic: {
+    label: 'Generic S3-compatible storage',
+    endpointSuffixes: [],
+    forcePathStyle: false,
+    signingEscapePath: true,
+    supportsChecksums: true,
+    supportsCorsApi: true,
+    maxPartCount: 10_000,
+    requiresSdkPin: false
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_PROFILES);
+
+export const detectProvider = (endpoint) => {
+  const host = getEndpointHost(endpoint);
+  if (!host) {
+    return 'generic';
+  }
+
+  const match = PROVIDER_NAMES.find((name) => PROVIDER_PROFILES[name].endpointSuffixes
+    .some((suffix) => host.endsWith(suffix)));
+  return match || 'generic';
+};
+
+export const resolveProviderProfile = ({ provider, endpoint }) => {
+  const requested = typeof provider === 'string' ? provider.trim().toLowerCase() : '';
+  if (requested && !PROVIDER_PROFILES[requested]) {
+    return { profile: null, invalidValue: provider };
+  }
+
+  const name = requested || detectProvider(endpoint);
+  return { profile: { name, ...PROVIDER_PROFILES[name] }, invalidValue: null };
+};
+
+// Providers that reject the SDK's flexible checksums only get checksums when
+// an operation requires them, whatever the environment asks for.
+export const buildS3ClientConfig = ({
+  profile,
+  endpoint,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = profile.forcePathStyle,
+  requestChecksumCalculation,
+  responseChecksumValidation
+}) => ({
+  region,
+  endpoint,
+  credentials: { accessKeyId, secretAccessKey },
+  forcePathStyle,
+  signingEscapePath: profile.signingEscapePath,
+  requestChecksumCalculation: profile.supportsChecksums ? requestChecksumCalculation : 'WHEN_REQUIRED',
+  responseChecksumValidation: profile.supportsChecksums ? responseChecksumValidation : 'WHEN_REQUIRED'
+});
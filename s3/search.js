@@ -0,0 +1,206 @@
+export const DEFAULT_SEARCH_LIMIT = 500;
+export const MAX_SEARCH_LIMIT = 5000;
+
+const escapeRegExp = (value) => value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+// `*` and `?` turn the query into a glob; anything else is a case-insensitive
+// substring. Patterns without a `/` only look at the file name.
+const compileNameMatcher = (query) => {
+  const trimmed = query.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const matchesPath = trimmed.includes('/');
+  const pick = (key) => (matchesPath ? key : key.slice(key.lastIndexOf('/') + 1));
+  if (/[*?]/.test(trimmed)) {
+    const pattern = escapeRegExp(trimmed).replace(/\*/g, '.*').replace(/\?/g, '.');
+    const regex = new RegExp(matchesPath ? `(^|/)${pattern}$` : `^${pattern}$`, 'i');
+    return (key) => regex.test(pick(key));
+  }
+
+  const needle = trimmed.toLowerCase();
+  return (key) => pick(key).toLowerCase().includes(needle);
+};
+
+const parseSize = (value) => {
+  if (value === undefined || value === '') {
+    return { value: null };
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? { value: parsed } : { error: true };
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') {
+    return { value: null };
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? { error: true } : { value: parsed };
+};
+
+export const parseSearchCriteria = (query = {}) => {
+  const text = typeof query.q === 'string' ? query.q : '';
+  const minSize = parseSize(query.minSize);
+  const maxSize = parseSize(query.maxSize);
+  if (minSize.error || maxSize.error) {
+    return { error: 'minSize and maxSize must be non-negative integers (bytes)' };
+  }
+
+  const modifiedAfter = parseDate(query.modifiedAfter);
+  const modifiedBefore = parseDate(query.modifiedBefore);
+  if (modifiedAfter.error || modifiedBefore.error) {
+    return { error: 'modifiedAfter and modifiedBefore must be valid dates' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  return {
+    criteria: {
+      query: text.trim(),
+      matchName: compileNameMatcher(text),
+      minSize: minSize.value,
+      maxSize: maxSize.value,
+      modifiedAfter: modifiedAfter.value,
+      modifiedBefore: modifiedBefore.value,
+      limit: Math.min(limit, MAX_SEARCH_LIMIT)
+    }
+  };
+};
+
+export const matchesSearch = (object, criteria) => {
+  if (object.key.endsWith('/')) {
+    return false;
+  }
+  if (criteria.matchName && !criteria.matchName(object.key)) {
+    return false;
+  }
+  if (criteria.minSize !== null && object.size < criteria.minSize) {
+    return false;
+  }
+  if (criteria.maxSize !== null && object.size > criteria.maxSize) {
+    return false;
+  }
+  if (criteria.modifiedAfter !== null && object.lastModified < criteria.modifiedAfter) {
+    return false;
+  }
+  if (criteria.modifiedBefore !== null && object.lastModified > criteria.modifiedBefore) {
+    return false;
+  }
+  return true;
+};
+
+// Keeps recent subtree listings so repeated searches do not page through the
+// bucket again. Listings are stored page by page as searches consume them, so
+// an interrupted search still leaves a usable partial entry for the next one.
+export const createListingCache = ({ ttlMs, maxObjects }) => {
+  const entries = new Map();
+  let cachedObjects = 0;
+
+  const drop = (entry) => {
+    if (entries.get(entry.key) === entry) {
+      entries.delete(entry.key);
+      cachedObjects -= entry.pages.reduce((total, page) => total + page.objects.length, 0);
+    }
+    entry.cacheable = false;
+  };
+
+  const evictExpired = () => {
+    const now = Date.now();
+    for (const entry of entries.values()) {
+      if (now - entry.createdAt > ttlMs) {
+        drop(entry);
+      }
+    }
+  };
+
+  const findCompleteParent = (bucketId, prefix) => Array.from(entries.values()).find((entry) => (
+    entry.bucketId === bucketId
+    && prefix.startsWith(entry.prefix)
+    && entry.pages.length > 0
+    && !entry.pages[entry.pages.length - 1].nextContinuationToken
+  )) || null;
+
+  const loadNextPage = (entry, fetchPage) => {
+    if (!entry.pending) {
+      const lastPage = entry.pages[entry.pages.length - 1];
+      entry.pending = fetchPage(lastPage?.nextContinuationToken)
+        .then((page) => {
+          if (!entry.cacheable) {
+            return;
+          }
+          if (cachedObjects + page.objects.length > maxObjects) {
+            drop(entry);
+            return;
+          }
+          entry.pages.push({ objects: page.objects, nextContinuationToken: page.nextContinuationToken || null });
+          cachedObjects += page.objects.length;
+        })
+        .finally(() => {
+          entry.pending = null;
+        });
+    }
+    return entry.pending;
+  };
+
+  // Yields arrays of `{ key, size, lastModified }` covering every object below
+  // the prefix. `fetchPage(continuationToken)` lists one page from S3 and
+  // resolves to `{ objects, nextContinuationToken }`.
+  async function* iterate(bucketId, prefix, fetchPage) {
+    evictExpired();
+
+    const parent = findCompleteParent(bucketId, prefix);
+    if (parent) {
+      for (const page of parent.pages) {
+        yield page.objects.filter((object) => object.key.startsWith(prefix));
+      }
+      return;
+    }
+
+    const key = `${bucketId}\u0000${prefix}`;
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = { key, bucketId, prefix, pages: [], cacheable: true, pending: null, createdAt: Date.now() };
+      entries.set(key, entry);
+    }
+
+    let index = 0;
+    let continuationToken;
+    while (true) {
+      if (index < entry.pages.length) {
+        const page = entry.pages[index];
+        index += 1;
+        continuationToken = page.nextContinuationToken;
+        yield page.objects;
+        if (!continuationToken) {
+          return;
+        }
+      } else if (entry.cacheable) {
+        await loadNextPage(entry, fetchPage);
+      } else {
+        // The listing outgrew the cache or was invalidated; keep paging from
+        // where this search stopped without storing anything.
+        const page = await fetchPage(continuationToken);
+        continuationToken = page.nextContinuationToken;
+        yield page.objects;
+        if (!continuationToken) {
+          return;
+        }
+      }
+    }
+  }
+
+  // Mutations drop every listing that could contain the changed key.
+  const invalidate = (bucketId, key = '') => {
+    for (const entry of entries.values()) {
+      if (entry.bucketId === bucketId && (key.startsWith(entry.prefix) || entry.prefix.startsWith(key))) {
+        drop(entry);
+      }
+    }
+  };
+
+  return { iterate, invalidate };
+};
@@ -0,0 +1,50 @@
+import path from 'path';
+
+// Where `sourceKey` ends up when `source` (a key, or a prefix ending in `/`)
+// is copied to `destination`. A key copied to a prefix keeps its file name.
+export const transferDestinationKey = (source, destination, sourceKey = source) => {
+  if (!source.endsWith('/')) {
+    return destination.endsWith('/') ? `${destination}${path.posix.basename(source)}` : destination;
+  }
+
+  const destinationPrefix = destination.endsWith('/') ? destination : `${destination}/`;
+  return `${destinationPrefix}${sourceKey.slice(source.length)}`;
+};
+
+// Validates a copy or move. Prefixes are always copied to a prefix; copying a
+// key onto itself is rejected because a move would then delete the only copy.
+export const normalizeTransfer = (source, destination) => {
+  const normalizedDestination = source.endsWith('/') && !destination.endsWith('/')
+    ? `${destination}/`
+    : destination;
+
+  if (transferDestinationKey(source, normalizedDestination) === source) {
+    return { error: 'source and destination must differ' };
+  }
+
+  if (source.endsWith('/') && normalizedDestination.startsWith(source)) {
+    return { error: 'Destination cannot be inside the source prefix' };
+  }
+
+  return { destination: normalizedDestination };
+};
+
+// UploadPartCopy accepts at most 5 GiB per part.
+export const MAX_COPY_PART_BYTES = 5 * 1024 * 1024 * 1024;
+
+// Byte ranges for a multipart copy. Parts grow beyond `partSize` when the
+// object would otherwise need more than `maxPartCount` of them, up to the
+// 5 GiB limit; the part count follows from the clamped size.
+export const planCopyParts = (size, { partSize, maxPartCount }) => {
+  const clampedPartSize = Math.min(Math.max(partSize, Math.ceil(size / maxPartCount)), MAX_COPY_PART_BYTES);
+  const partCount = Math.ceil(size / clampedPartSize);
+  if (partCount > maxPartCount) {
+    throw new Error(`Cannot copy ${size} bytes in ${maxPartCount} parts of at most ${MAX_COPY_PART_BYTES} bytes`);
+  }
+
+  return Array.from({ length: partCount }, (_, index) => ({
+    partNumber: index + 1,
+    start: index * clampedPartSize,
+    end: Math.min((index + 1) * clampedPartSize, size) - 1
+  }));
+};
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+
+export const USAGE_TOP_COUNT = 10;
+export const USAGE_MAX_EXTENSIONS = 20;
+// Snapshots keep totals for the bucket and for folders up to this depth.
+export const USAGE_SNAPSHOT_DEPTH = 2;
+const MAX_SNAPSHOT_FOLDERS = 1000;
+
+const extensionOf = (key) => {
+  const name = key.slice(key.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  return dot > 0 && dot < name.length - 1 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+const addTotals = (map, key, size, isObject) => {
+  const totals = map.get(key) || { objectCount: 0, size: 0 };
+  totals.objectCount += isObject ? 1 : 0;
+  totals.size += size;
+  map.set(key, totals);
+};
+
+const bySizeDescending = (a, b) => b.size - a.size;
+
+// Aggregates `{ key, size, lastModified }` objects below a prefix into totals,
+// the largest files, per-subfolder totals and a by-extension breakdown.
+// Folder marker keys count towards their folder but not as objects.
+export const createUsageAccumulator = (prefix, { snapshotDepth = 0 } = {}) => {
+  let objectCount = 0;
+  let size = 0;
+  const largestFiles = [];
+  const subfolders = new Map();
+  const extensions = new Map();
+  const snapshotFolders = new Map();
+
+  const add = ({ key, size: objectSize, lastModified }) => {
+    const bytes = Number(objectSize) || 0;
+    const isObject = !key.endsWith('/');
+    size += bytes;
+
+    const rest = key.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    if (slash >= 0) {
+      addTotals(subfolders, `${prefix}${rest.slice(0, slash + 1)}`, bytes, isObject);
+    }
+
+    if (snapshotDepth > 0) {
+      const segments = key.split('/');
+      for (let depth = 1; depth <= Math.min(snapshotDepth, segments.length - 1); depth += 1) {
+        addTotals(snapshotFolders, `${segments.slice(0, depth).join('/')}/`, bytes, isObject);
+      }
+    }
+
+    if (!isObject) {
+      return;
+    }
+
+    objectCount += 1;
+    addTotals(extensions, extensionOf(key), bytes, true);
+
+    if (largestFiles.length < USAGE_TOP_COUNT || bytes > largestFiles[largestFiles.length - 1].size) {
+      largestFiles.push({ key, size: bytes, lastModified });
+      largestFiles.sort(bySizeDescending);
+      largestFiles.length = Math.min(largestFiles.length, USAGE_TOP_COUNT);
+    }
+  };
+
+  const result = () => {
+    const sortedExtensions = Array.from(extensions, ([extension, totals]) => ({ extension, ...totals }))
+      .sort(bySizeDescending);
+    const otherExtensions = sortedExtensions.slice(USAGE_MAX_EXTENSIONS).reduce((totals, entry) => ({
+      objectCount: totals.objectCount + entry.objectCount,
+      size: totals.size + entry.size
+    }), { objectCount: 0, size: 0 });
+
+    return {
+      objectCount,
+      size,
+      largestFiles: largestFiles.map((file) => ({ ...file })),
+      subfolders: Array.from(subfolders, ([folder, totals]) => ({ prefix: folder, ...totals })).sort(bySizeDescending),
+      extensions: sortedExtensions.slice(0, USAGE_MAX_EXTENSIONS),
+      otherExtensions: otherExtensions.objectCount > 0 ? otherExtensions : null
+    };
+  };
+
+  // Totals in the shape stored by snapshots: the whole prefix under `''` plus
+  // the largest folders down to `snapshotDepth`.
+  const snapshotTotals = () => Object.fromEntries([
+    ['', { objectCount, size }],
+    ...Array.from(snapshotFolders)
+      .sort(([, a], [, b]) => bySizeDescending(a, b))
+      .slice(0, MAX_SNAPSHOT_FOLDERS)
+  ]);
+
+  return { add, result, snapshotTotals };
+};
+
+// Keeps periodic usage snapshots per bucket in a JSON file so growth can be
+// charted over time.
+export const createUsageSnapshotStore = ({ filePath, maxSnapshots = 365 }) => {
+  let buckets = {};
+  if (fs.existsSync(filePath)) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    buckets = parsed?.buckets && typeof parsed.buckets === 'object' ? parsed.buckets : {};
+  }
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ buckets }));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const latest = (bucketId) => {
+    const snapshots = buckets[bucketId] || [];
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  };
+
+  const record = (bucketId, { source, prefixes }) => {
+    const snapshots = buckets[bucketId] || [];
+    snapshots.push({ takenAt: new Date().toISOString(), source, prefixes });
+    buckets[bucketId] = snapshots.slice(-maxSnapshots);
+    persist();
+  };
+
+  // Returns `{ takenAt, objectCount, size }` points for a prefix. Prefixes that
+  // are deeper than the snapshot depth have no history.
+  const history = (bucketId, prefix) => (buckets[bucketId] || [])
+    .filter((snapshot) => snapshot.prefixes?.[prefix])
+    .map((snapshot) => ({ takenAt: snapshot.takenAt, ...snapshot.prefixes[prefix] }));
+
+  return { latest, record, history };
+};
@@ -1,7 +1,6 @@
 import semver from 'semver';
 import s3PackageJson from '@aws-sdk/client-s3/package.json' with { type: 'json' };
 
-export const HETZNER_ENDPOINT_SUFFIX = '.your-objectstorage.com';
 export const HETZNER_MIN_INCOMPATIBLE_VERSION = '3.729.0';
 export const HETZNER_MAX_COMPATIBLE_VERSION = '3.726.1';
 export const DEFAULT_REQUEST_CHECKSUM_CALCULATION = 'WHEN_REQUIRED';
@@ -59,22 +58,19 @@ export const getEndpointHost = (endpoint) => {
   }
 };
 
-export const isHetznerEndpoint = (endpoint) => {
-  const host = getEndpointHost(endpoint);
-  return typeof host === 'string' ? host.endsWith(HETZNER_ENDPOINT_SUFFIX) : false;
-};
-
 export const getS3SdkVersion = () => s3PackageJson.version;
 
-export const ensureHetznerCompatibleSdk = ({ endpoint, logger }) => {
+// Only providers whose profile sets `requiresSdkPin` (currently Hetzner) need
+// the pinned @aws-sdk/client-s3 release.
+export const ensureCompatibleSdk = ({ endpoint, profile, logger }) => {
   const version = getS3SdkVersion();
   const endpointHost = getEndpointHost(endpoint);
-  const hetzner = endpointHost ? endpointHost.endsWith(HETZNER_ENDPOINT_SUFFIX) : false;
 
-  if (hetzner && semver.gte(version, HETZNER_MIN_INCOMPATIBLE_VERSION)) {
-    const message = 'Incompatible @aws-sdk/client-s3 version detected for Hetzner Object Storage';
+  if (profile?.requiresSdkPin && semver.gte(version, HETZNER_MIN_INCOMPATIBLE_VERSION)) {
+    const message = `Incompatible @aws-sdk/client-s3 version detected for ${profile.label}`;
     const meta = {
       endpointHost,
+      provider: profile.name,
       s3SdkVersion: version,
       hetznerMaxSupportedVersion: HETZNER_MAX_COMPATIBLE_VERSION,
       documentation: 'https://docs.hetzner.com/storage/object-storage/troubleshooting/s3-compatible-clients/#aws-cli-and-aws-sdks'
@@ -90,21 +86,26 @@ export const ensureHetznerCompatibleSdk = ({ endpoint, logger }) => {
     process.exit(1);
   }
 
-  return { version, endpointHost, isHetzner: hetzner };
+  return { version, endpointHost };
 };
 
-export const resolveForcePathStyle = (value) => {
-  if (typeof value === 'string') {
-    const normalized = value.trim().toLowerCase();
-    if (['true', '1', 'yes', 'on'].includes(normalized)) {
-      return { value: true, invalidValue: null };
-    }
-    if (['false', '0', 'no', 'off'].includes(normalized)) {
-      return { value: false, invalidValue: null };
-    }
+// Unset and unrecognised values both resolve to `fallback`, normally the
+// provider profile's addressing style, so a typo cannot override it.
+export const resolveForcePathStyle = (value, fallback = false) => {
+  if (typeof value === 'boolean') {
+    return { value, invalidValue: null };
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return { value: fallback, invalidValue: null };
+  }
 
-    return { value: false, invalidValue: value };
+  const normalized = value.trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return { value: true, invalidValue: null };
+  }
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return { value: false, invalidValue: null };
   }
 
-  return { value: false, invalidValue: null };
+  return { value: fallback, invalidValue: value };
 };
@@ -11,8 +11,9 @@ import {
   resolveRequestChecksumCalculation,
   resolveResponseChecksumValidation,
   resolveForcePathStyle,
-  ensureHetznerCompatibleSdk
+  ensureCompatibleSdk
 } from '../s3/utils.js';
+import { PROVIDER_NAMES, resolveProviderProfile, buildS3ClientConfig } from '../s3/providers.js';
 
 const serializeError = (error: unknown) => ({
   name: (error as { name?: string })?.name,
@@ -117,37 +118,47 @@ if (invalidResponseChecksumValidation) {
   });
 }
 
-const { version: s3SdkVersion, endpointHost: s3EndpointHost, isHetzner } = ensureHetznerCompatibleSdk({
+const { profile, invalidValue: invalidProvider } = resolveProviderProfile({
+  provider: process.env.S3_PROVIDER,
+  endpoint: process.env.S3_ENDPOINT
+});
+
+if (!profile) {
+  logger.error('Unknown S3_PROVIDER value', { providedValue: invalidProvider, allowedValues: PROVIDER_NAMES });
+  process.exit(1);
+}
+
+const { version: s3SdkVersion, endpointHost: s3EndpointHost } = ensureCompatibleSdk({
   endpoint: process.env.S3_ENDPOINT as string,
+  profile,
   logger
 });
 
 const {
-  value: forcePathStyle,
+  value: resolvedForcePathStyle,
   invalidValue: invalidForcePathStyle
-} = resolveForcePathStyle(process.env.FORCE_PATH_STYLE);
-
-const signingEscapePath = isHetzner ? false : true;
+} = resolveForcePathStyle(process.env.FORCE_PATH_STYLE, profile.forcePathStyle);
 
 if (invalidForcePathStyle) {
-  logger.warn('Invalid FORCE_PATH_STYLE value provided, defaulting to virtual-hosted style addressing', {
+  logger.warn('Invalid FORCE_PATH_STYLE value provided, using the provider profile addressing style', {
     providedValue: invalidForcePathStyle,
-    appliedValue: forcePathStyle
+    appliedValue: resolvedForcePathStyle
   });
 }
 
-const s3Client = new S3Client({
-  region: process.env.S3_REGION as string,
+const clientConfig = buildS3ClientConfig({
+  profile,
   endpoint: process.env.S3_ENDPOINT as string,
-  credentials: {
-    accessKeyId: process.env.S3_ACCESS_KEY_ID as string,
-    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY as string
-  },
-  forcePathStyle,
-  signingEscapePath,
+  region: process.env.S3_REGION as string,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID as string,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY as string,
+  forcePathStyle: resolvedForcePathStyle,
   requestChecksumCalculation,
   responseChecksumValidation
 });
+const { forcePathStyle, signingEscapePath } = clientConfig;
+
+const s3Client = new S3Client(clientConfig);
 
 const PART_SIZE_BYTES = 5 * 1024 * 1024;
 const TOTAL_SIZE_BYTES = PART_SIZE_BYTES * 2;
@@ -171,9 +182,9 @@ const runMultipartUploadDiagnostic = async (key: string) => {
     s3EndpointHost,
     forcePathStyle,
     signingEscapePath,
-    requestChecksumCalculation,
-    responseChecksumValidation,
-    isHetznerEndpoint: isHetzner
+    requestChecksumCalculation: clientConfig.requestChecksumCalculation,
+    responseChecksumValidation: clientConfig.responseChecksumValidation,
+    provider: profile.name
   });
 
   const upload = new Upload({
@@ -233,9 +244,9 @@ const runCreateMultipartSuite = async () => {
     s3EndpointHost,
     forcePathStyle,
     signingEscapePath,
-    requestChecksumCalculation,
-    responseChecksumValidation,
-    isHetznerEndpoint: isHetzner,
+    requestChecksumCalculation: clientConfig.requestChecksumCalculation,
+    responseChecksumValidation: clientConfig.responseChecksumValidation,
+    provider: profile.name,
     keysTested: createMultipartSuiteKeys.length
   });
 
@@ -0,0 +1,34 @@
+import { hashPassword } from '../auth/users.js';
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`Usage: npm run hash-password -- <password>\n` +
+    `       echo -n <password> | npm run hash-password\n\n` +
+    `Prints a scrypt hash for use in USERS_FILE or AUTH_USERS.\n` +
+    `The hash contains $: single-quote it in shells and .env files, or write $$ in Docker Compose files.`);
+  process.exit(0);
+}
+
+const readStdin = async () => {
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+};
+
+const run = async () => {
+  const password = args[0] ?? (process.stdin.isTTY ? '' : await readStdin());
+  if (!password) {
+    console.error('[ERROR] A password must be provided as an argument or on stdin');
+    process.exit(1);
+  }
+
+  console.log(hashPassword(password));
+};
+
+run().catch((error) => {
+  console.error('[ERROR] Failed to hash password', error);
+  process.exit(1);
+});
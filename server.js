@@ -14,66 +14,82 @@ import archiver from 'archiver';
 import {
   S3Client,
   ListObjectsV2Command,
+  GetObjectCommand,
+  HeadObjectCommand,
   PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
   CreateMultipartUploadCommand,
   CompleteMultipartUploadCommand,
   AbortMultipartUploadCommand,
   UploadPartCommand,
+  UploadPartCopyCommand,
   ListPartsCommand,
+  ListMultipartUploadsCommand,
   PutBucketCorsCommand
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { loadUserStore, hasRole } from './auth/users.js';
+import { createLoginThrottle } from './auth/throttle.js';
+import {
+  canAccessKey,
+  canAccessPrefix,
+  canAccessPrefixIn,
+  canBrowsePrefix,
+  canUseBucket,
+  isUnrestricted
+} from './auth/policies.js';
+import {
+  createSessionManager,
+  parseCookies,
+  SESSION_COOKIE_NAME,
+  CSRF_HEADER_NAME
+} from './auth/sessions.js';
+import {
+  canManageToken,
+  createTokenStore,
+  scopeAccess,
+  tokenPolicy,
+  TOKEN_SCOPES,
+  DEFAULT_TOKEN_EXPIRY_DAYS,
+  MAX_TOKEN_EXPIRY_DAYS
+} from './auth/tokens.js';
 import {
-  resolveBucket,
   resolveRequestChecksumCalculation,
   resolveResponseChecksumValidation,
   resolveForcePathStyle,
-  ensureHetznerCompatibleSdk
+  ensureCompatibleSdk
 } from './s3/utils.js';
-
-const requiredEnv = {
-  S3_ENDPOINT: process.env.S3_ENDPOINT,
-  S3_REGION: process.env.S3_REGION,
-  S3_BUCKET: resolveBucket(),
-  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
-  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
-  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD
-};
-
-const missingEnv = Object.entries(requiredEnv)
-  .filter(([, value]) => typeof value !== 'string' || value.trim().length === 0)
-  .map(([key]) => key);
-if (missingEnv.length > 0) {
-  console.error(`Missing required environment variables: ${missingEnv.join(', ')}`);
+import { buildS3ClientConfig } from './s3/providers.js';
+import { loadBucketConfigs } from './s3/buckets.js';
+import { createListingCache, matchesSearch, parseSearchCriteria } from './s3/search.js';
+import { createObjectIndex, INDEX_SORT_FIELDS } from './s3/object-index.js';
+import { createUsageAccumulator, createUsageSnapshotStore, USAGE_SNAPSHOT_DEPTH } from './s3/usage.js';
+import { MAX_PRESIGNED_URL_EXPIRY_SECONDS, presignObjectUrl, resolvePreview } from './s3/preview.js';
+import { normalizeTransfer, planCopyParts, transferDestinationKey } from './s3/transfers.js';
+import { buildThumbnailArgs, POSTER_FRAME_SECONDS, thumbnailKeyFor, thumbnailSourceKind } from './media/thumbnails.js';
+import { buildProbeArgs, mediaSourceKind, MEDIA_METADATA_VERSION, metadataKeyFor, summarizeProbe } from './media/metadata.js';
+import { createObjectQueue } from './media/queue.js';
+import { createJobQueue, parseFfmpegTimeMs } from './media/jobs.js';
+import { createEventBus, EVENT_TYPES, eventPaths } from './events/bus.js';
+import { createUploadTracker } from './events/uploads.js';
+import { canManageSubscription, createWebhookStore, WEBHOOK_EVENT_TYPES } from './webhooks/subscriptions.js';
+import { createWebhookDispatcher, toPublicDelivery } from './webhooks/delivery.js';
+
+const { buckets: bucketConfigs, errors: bucketConfigErrors } = loadBucketConfigs();
+if (bucketConfigErrors.length > 0 || bucketConfigs.length === 0) {
+  console.error(`Invalid bucket configuration: ${bucketConfigErrors.join('; ') || 'no buckets configured'}`);
+  console.error('Set S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY, or configure S3_BUCKETS / BUCKETS_FILE.');
   process.exit(1);
 }
 
-const {
-  S3_ENDPOINT,
-  S3_REGION,
-  S3_ACCESS_KEY_ID,
-  S3_SECRET_ACCESS_KEY,
-  UPLOAD_WEBHOOK_URL: uploadWebhookUrlEnv,
-  WEBHOOK_UPLOAD_TRIGGER
-} = process.env;
-
-const S3_BUCKET = requiredEnv.S3_BUCKET;
-const ADMIN_PASSWORD = requiredEnv.ADMIN_PASSWORD;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const USERS_FILE = process.env.USERS_FILE;
+const AUTH_USERS = process.env.AUTH_USERS;
 const FORCE_PATH_STYLE = process.env.FORCE_PATH_STYLE;
 const PORT = process.env.PORT || 3000;
 const TRUST_PROXY = process.env.TRUST_PROXY;
-const DEFAULT_UPLOAD_WEBHOOK_URL = 'https://automation.vildmedpoter.dk/webhook/19db0a76-4d84-47b5-a279-700877c7a8ca';
-
-const { uploadWebhookUrl: UPLOAD_WEBHOOK_URL, usedDefaultUploadWebhook } = (() => {
-  const candidates = [uploadWebhookUrlEnv, WEBHOOK_UPLOAD_TRIGGER];
-  for (const candidate of candidates) {
-    if (typeof candidate === 'string' && candidate.trim().length > 0) {
-      return { uploadWebhookUrl: candidate.trim(), usedDefaultUploadWebhook: false };
-    }
-  }
-
-  return { uploadWebhookUrl: DEFAULT_UPLOAD_WEBHOOK_URL, usedDefaultUploadWebhook: true };
-})();
 
 const parsePositiveInteger = (value, fallback) => {
   if (typeof value !== 'string' || value.trim().length === 0) {
@@ -88,15 +104,99 @@ const parsePositiveInteger = (value, fallback) => {
   return Math.floor(parsed);
 };
 
+// For durations where fractions are meaningful, e.g. half an hour.
+const parsePositiveNumber = (value, fallback) => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
 const MIN_PART_SIZE = 5 * 1024 * 1024;
 const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
 const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PARALLEL_FILES = 3;
 const configuredPartSize = parsePositiveInteger(process.env.UPLOAD_PART_SIZE_BYTES, DEFAULT_PART_SIZE);
 const uploadConfig = {
   partSizeBytes: Math.max(configuredPartSize, MIN_PART_SIZE),
-  maxConcurrency: parsePositiveInteger(process.env.UPLOAD_MAX_CONCURRENCY, DEFAULT_CONCURRENCY)
+  maxConcurrency: parsePositiveInteger(process.env.UPLOAD_MAX_CONCURRENCY, DEFAULT_CONCURRENCY),
+  maxParallelFiles: parsePositiveInteger(process.env.UPLOAD_MAX_PARALLEL_FILES, DEFAULT_PARALLEL_FILES),
+  // Bytes per second across all of a browser's uploads; null means no limit.
+  maxBytesPerSecond: parsePositiveInteger(process.env.UPLOAD_MAX_BYTES_PER_SECOND, null)
 };
 
+const DEFAULT_DOWNLOAD_URL_EXPIRY_SECONDS = 15 * 60;
+const DOWNLOAD_URL_EXPIRY_SECONDS = Math.min(
+  parsePositiveInteger(process.env.DOWNLOAD_URL_EXPIRY_SECONDS, DEFAULT_DOWNLOAD_URL_EXPIRY_SECONDS),
+  MAX_PRESIGNED_URL_EXPIRY_SECONDS
+);
+// Media players keep issuing range requests against the same URL while
+// playing, so preview URLs outlive download URLs by default.
+const PREVIEW_URL_EXPIRY_SECONDS = Math.min(
+  parsePositiveInteger(process.env.PREVIEW_URL_EXPIRY_SECONDS, 4 * 60 * 60),
+  MAX_PRESIGNED_URL_EXPIRY_SECONDS
+);
+const PREVIEW_TEXT_MAX_BYTES = parsePositiveInteger(process.env.PREVIEW_TEXT_MAX_BYTES, 1024 * 1024);
+
+// Generated files such as thumbnails live below this prefix, which listings
+// and search hide.
+const DERIVATIVES_PREFIX = '.derivatives/';
+const THUMBNAIL_URL_EXPIRY_SECONDS = 60 * 60;
+// Thumbnails run one at a time, so a stalled download or a hostile file must
+// not hold up the jobs behind it.
+const THUMBNAIL_TIMEOUT_MS = 2 * 60 * 1000;
+// FFprobe only reads container headers. Viewers can queue a probe by opening
+// a file's details, so each user or token only has a few waiting at a time.
+const METADATA_PROBE_TIMEOUT_MS = 60 * 1000;
+const METADATA_MAX_QUEUED_PER_REQUESTER = 20;
+const isDerivativeKey = (key) => key.startsWith(DERIVATIVES_PREFIX);
+
+// The janitor is disabled unless a maximum age is configured.
+const MULTIPART_JANITOR_MAX_AGE_MS = Math.round(parsePositiveNumber(process.env.MULTIPART_JANITOR_MAX_AGE_HOURS, 0) * 60 * 60 * 1000);
+const MULTIPART_JANITOR_INTERVAL_MS = Math.round(parsePositiveNumber(process.env.MULTIPART_JANITOR_INTERVAL_MINUTES, 60) * 60 * 1000);
+
+// Search reuses subtree listings for a few minutes, up to a total object count.
+const SEARCH_CACHE_TTL_MS = parsePositiveInteger(process.env.SEARCH_CACHE_TTL_SECONDS, 300) * 1000;
+const SEARCH_CACHE_MAX_OBJECTS = parsePositiveInteger(process.env.SEARCH_CACHE_MAX_OBJECTS, 200_000);
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const SESSION_IDLE_TIMEOUT_MS = parsePositiveInteger(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 30) * 60 * 1000;
+const SESSION_ABSOLUTE_TIMEOUT_MS = parsePositiveInteger(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS, 12) * 60 * 60 * 1000;
+// Basic auth stays available for scripted API clients but must be enabled explicitly.
+const ALLOW_BASIC_AUTH = ['1', 'true', 'yes', 'on'].includes((process.env.ALLOW_BASIC_AUTH || '').trim().toLowerCase());
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+
+// The SQLite object index is optional and needs the better-sqlite3 package.
+const OBJECT_INDEX_ENABLED = ['1', 'true', 'yes', 'on'].includes((process.env.OBJECT_INDEX || '').trim().toLowerCase());
+const OBJECT_INDEX_FILE = path.join(DATA_DIR, 'object-index.sqlite');
+const OBJECT_INDEX_RECONCILE_INTERVAL_MS = parsePositiveInteger(process.env.OBJECT_INDEX_RECONCILE_MINUTES, 60) * 60 * 1000;
+
+const USAGE_SNAPSHOTS_FILE = path.join(DATA_DIR, 'usage-snapshots.json');
+const USAGE_SNAPSHOT_INTERVAL_MS = parsePositiveInteger(process.env.USAGE_SNAPSHOT_INTERVAL_HOURS, 24) * 60 * 60 * 1000;
+// How often the snapshot job checks whether a bucket is due for a new snapshot.
+const USAGE_SNAPSHOT_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+const EVENT_LOG_FILE = path.join(DATA_DIR, 'events.jsonl');
+// How many recent events /api/events can replay to reconnecting clients.
+const EVENT_REPLAY_BUFFER_SIZE = 1000;
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+// Uploads without a progress report for this long are no longer shown as active.
+const UPLOAD_ACTIVITY_STALE_MS = 2 * 60 * 1000;
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_DEAD_LETTER_FILE = path.join(DATA_DIR, 'webhook-dead-letters.jsonl');
+const WEBHOOK_MAX_ATTEMPTS = parsePositiveInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 6);
+const WEBHOOK_RETRY_BASE_MS = parsePositiveInteger(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30) * 1000;
+const WEBHOOK_TIMEOUT_MS = parsePositiveInteger(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) * 1000;
+// The single upload webhook of earlier versions becomes a read-only subscription.
+const LEGACY_UPLOAD_WEBHOOK_URL = [process.env.UPLOAD_WEBHOOK_URL, process.env.WEBHOOK_UPLOAD_TRIGGER]
+  .find((value) => typeof value === 'string' && value.trim().length > 0)?.trim() || null;
+const LEGACY_UPLOAD_WEBHOOK_SECRET = process.env.UPLOAD_WEBHOOK_SECRET || null;
+
 const {
   value: REQUEST_CHECKSUM_CALCULATION,
   invalidValue: invalidRequestChecksumCalculation
@@ -187,32 +287,122 @@ if (invalidResponseChecksumValidation) {
   });
 }
 
-if (usedDefaultUploadWebhook) {
-  logger.warn('UPLOAD_WEBHOOK_URL not configured, using default webhook URL', {
-    webhookUrl: UPLOAD_WEBHOOK_URL
+if (LEGACY_UPLOAD_WEBHOOK_URL && !/^https?:\/\//i.test(LEGACY_UPLOAD_WEBHOOK_URL)) {
+  logger.error('UPLOAD_WEBHOOK_URL must be an HTTP or HTTPS URL');
+  process.exit(1);
+}
+
+const userStore = loadUserStore({
+  usersFile: USERS_FILE,
+  usersEnv: AUTH_USERS,
+  adminPassword: ADMIN_PASSWORD,
+  logger
+});
+
+if (userStore.errors.length > 0) {
+  logger.error('Invalid user configuration', { errors: userStore.errors });
+  process.exit(1);
+}
+
+if (userStore.size === 0) {
+  logger.error('No users configured. Set ADMIN_PASSWORD, USERS_FILE or AUTH_USERS.');
+  process.exit(1);
+}
+
+if (!SESSION_SECRET) {
+  logger.warn('SESSION_SECRET not configured, using a random secret to sign session cookies');
+}
+
+const sessionManager = createSessionManager({
+  secret: SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  absoluteTimeoutMs: SESSION_ABSOLUTE_TIMEOUT_MS
+});
+
+const loginThrottle = createLoginThrottle();
+
+let tokenStore;
+try {
+  tokenStore = createTokenStore({ filePath: API_TOKENS_FILE, logger });
+} catch (error) {
+  logger.error('Failed to load API tokens', { file: API_TOKENS_FILE, error: serializeError(error) });
+  process.exit(1);
+}
+
+let usageSnapshots;
+try {
+  usageSnapshots = createUsageSnapshotStore({ filePath: USAGE_SNAPSHOTS_FILE });
+} catch (error) {
+  logger.error('Failed to load usage snapshots', { file: USAGE_SNAPSHOTS_FILE, error: serializeError(error) });
+  process.exit(1);
+}
+
+let eventBus;
+try {
+  eventBus = createEventBus({ logFile: EVENT_LOG_FILE, bufferSize: EVENT_REPLAY_BUFFER_SIZE, logger });
+} catch (error) {
+  logger.error('Failed to open event log', { file: EVENT_LOG_FILE, error: serializeError(error) });
+  process.exit(1);
+}
+const uploadTracker = createUploadTracker({ bus: eventBus, staleMs: UPLOAD_ACTIVITY_STALE_MS });
+
+let webhookStore;
+try {
+  webhookStore = createWebhookStore({
+    filePath: WEBHOOKS_FILE,
+    extra: LEGACY_UPLOAD_WEBHOOK_URL ? [{
+      id: 'env',
+      url: LEGACY_UPLOAD_WEBHOOK_URL,
+      events: ['object.created'],
+      prefixes: [],
+      bucket: null,
+      description: 'UPLOAD_WEBHOOK_URL',
+      source: 'env',
+      createdBy: null,
+      createdAt: null,
+      secret: LEGACY_UPLOAD_WEBHOOK_SECRET
+    }] : []
   });
+} catch (error) {
+  logger.error('Failed to load webhook subscriptions', { file: WEBHOOKS_FILE, error: serializeError(error) });
+  process.exit(1);
 }
 
-const {
-  version: s3SdkVersion,
-  endpointHost: s3EndpointHost,
-  isHetzner: usingHetznerEndpoint
-} = ensureHetznerCompatibleSdk({ endpoint: S3_ENDPOINT, logger });
+const webhookDispatcher = createWebhookDispatcher({
+  store: webhookStore,
+  deadLetterFile: WEBHOOK_DEAD_LETTER_FILE,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  logger
+});
+eventBus.subscribe((event) => webhookDispatcher.publish(event));
 
-const {
-  value: FORCE_PATH_STYLE_RESOLVED,
-  invalidValue: invalidForcePathStyle
-} = resolveForcePathStyle(FORCE_PATH_STYLE);
+let objectIndex = null;
+if (OBJECT_INDEX_ENABLED) {
+  try {
+    objectIndex = await createObjectIndex({ filePath: OBJECT_INDEX_FILE, hiddenPrefix: DERIVATIVES_PREFIX });
+  } catch (error) {
+    logger.error('Failed to open object index', { file: OBJECT_INDEX_FILE, error: serializeError(error) });
+    process.exit(1);
+  }
+}
+
+const bucketEndpoints = new Map(bucketConfigs.map((config) => [
+  config.id,
+  ensureCompatibleSdk({ endpoint: config.endpoint, profile: config.profile, logger })
+]));
+const s3SdkVersion = bucketEndpoints.get(bucketConfigs[0].id).version;
+
+const { invalidValue: invalidForcePathStyle } = resolveForcePathStyle(FORCE_PATH_STYLE);
 
 if (invalidForcePathStyle) {
-  logger.warn('Invalid FORCE_PATH_STYLE value provided, defaulting to virtual-hosted style addressing', {
+  logger.warn('Invalid FORCE_PATH_STYLE value provided, using the provider profile addressing style', {
     providedValue: invalidForcePathStyle,
-    appliedValue: FORCE_PATH_STYLE_RESOLVED
+    appliedValues: Object.fromEntries(bucketConfigs.map((config) => [config.id, config.forcePathStyle ? 'path' : 'virtual-hosted']))
   });
 }
 
-const SIGNING_ESCAPE_PATH = usingHetznerEndpoint ? false : true;
-
 const closeLogStream = () => {
   if (logStream) {
     logStream.end();
@@ -250,35 +440,52 @@ const parseTrustProxy = (value) => {
 };
 
 // Hetzner Object Storage rejects the SDK's newer data-integrity features, so the
-// runtime guard above enforces that we stay on a compatible @aws-sdk/client-s3
-// release until Hetzner updates their S3 implementation.
-const s3Client = new S3Client({
-  region: S3_REGION,
-  endpoint: S3_ENDPOINT,
-  credentials: {
-    accessKeyId: S3_ACCESS_KEY_ID,
-    secretAccessKey: S3_SECRET_ACCESS_KEY
-  },
-  forcePathStyle: FORCE_PATH_STYLE_RESOLVED,
-  signingEscapePath: SIGNING_ESCAPE_PATH,
-  requestChecksumCalculation: REQUEST_CHECKSUM_CALCULATION,
-  responseChecksumValidation: RESPONSE_CHECKSUM_VALIDATION
-});
+// runtime guard above keeps profiles that require it on a compatible
+// @aws-sdk/client-s3 release. Every configured bucket gets its own client
+// because providers, credentials and endpoints may differ.
+const buckets = new Map(bucketConfigs.map((config) => {
+  const { endpointHost } = bucketEndpoints.get(config.id);
+  const clientConfig = buildS3ClientConfig({
+    profile: config.profile,
+    endpoint: config.endpoint,
+    region: config.region,
+    accessKeyId: config.accessKeyId,
+    secretAccessKey: config.secretAccessKey,
+    forcePathStyle: config.forcePathStyle,
+    requestChecksumCalculation: REQUEST_CHECKSUM_CALCULATION,
+    responseChecksumValidation: RESPONSE_CHECKSUM_VALIDATION
+  });
+
+  return [config.id, {
+    id: config.id,
+    label: config.label,
+    name: config.name,
+    endpoint: config.endpoint,
+    endpointHost,
+    profile: config.profile,
+    forcePathStyle: clientConfig.forcePathStyle,
+    signingEscapePath: clientConfig.signingEscapePath,
+    requestChecksumCalculation: clientConfig.requestChecksumCalculation,
+    responseChecksumValidation: clientConfig.responseChecksumValidation,
+    client: new S3Client(clientConfig)
+  }];
+}));
+const DEFAULT_BUCKET_ID = bucketConfigs[0].id;
 
-async function ensureBucketCors() {
+async function ensureBucketCors(bucket) {
   const command = new PutBucketCorsCommand({
-    Bucket: S3_BUCKET,
+    Bucket: bucket.name,
     CORSConfiguration: {
       CORSRules: [{
         AllowedOrigins: ['*'],
         AllowedMethods: ['GET', 'PUT', 'POST', 'HEAD'],
         AllowedHeaders: ['*'],
-        ExposeHeaders: ['ETag'],
+        ExposeHeaders: ['ETag', 'Content-Range'],
         MaxAgeSeconds: 3600
       }]
     }
   });
-  await sendS3Command(command, { bucket: S3_BUCKET });
+  await sendS3Command(bucket, command);
 }
 
 export const app = express();
@@ -299,6 +506,57 @@ const AUDIO_PUBLIC_SUBDIR = 'generated-audio';
 const AUDIO_OUTPUT_DIR = path.resolve('public', AUDIO_PUBLIC_SUBDIR);
 const AUDIO_RETENTION_MS = 30 * 60 * 1000;
 const AUDIO_CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+// Split and extraction jobs share a worker pool so concurrent clients cannot
+// start unbounded FFmpeg processes. Finished jobs are kept as long as their files.
+const AUDIO_JOB_CONCURRENCY = parsePositiveInteger(process.env.AUDIO_JOB_CONCURRENCY, 2);
+const AUDIO_JOB_MAX_QUEUED = parsePositiveInteger(process.env.AUDIO_JOB_MAX_QUEUED, 100);
+
+// Generated audio is either kept in the local public directory, where it is
+// served without authentication and removed after AUDIO_RETENTION_MS, or
+// uploaded below a bucket prefix so results survive restarts and are shared
+// by every replica. The default prefix lies in the hidden derivatives area,
+// where clients cannot write, so the expiry sweep only deletes server output.
+const AUDIO_OUTPUT_STORAGE = (process.env.AUDIO_OUTPUT_STORAGE || 'local').trim().toLowerCase();
+const AUDIO_OUTPUT_BUCKET_ID = (process.env.AUDIO_OUTPUT_BUCKET || '').trim() || DEFAULT_BUCKET_ID;
+const AUDIO_OUTPUT_PREFIX = (() => {
+  const trimmed = (process.env.AUDIO_OUTPUT_PREFIX ?? `${DERIVATIVES_PREFIX}generated-audio/`).trim().replace(/^\/+/, '');
+  return trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed;
+})();
+const AUDIO_OUTPUT_URLS = (process.env.AUDIO_OUTPUT_URLS || 'presigned').trim().toLowerCase();
+const AUDIO_OUTPUT_URL_EXPIRY_SECONDS = Math.min(
+  parsePositiveInteger(process.env.AUDIO_OUTPUT_URL_EXPIRY_SECONDS, 24 * 60 * 60),
+  MAX_PRESIGNED_URL_EXPIRY_SECONDS
+);
+// Bucket outputs are kept until deleted unless an expiry is configured.
+const AUDIO_OUTPUT_EXPIRY_MS = Math.round(parsePositiveNumber(process.env.AUDIO_OUTPUT_EXPIRY_HOURS, 0) * 60 * 60 * 1000);
+
+if (!['local', 's3'].includes(AUDIO_OUTPUT_STORAGE)) {
+  logger.error('AUDIO_OUTPUT_STORAGE must be "local" or "s3"', { value: AUDIO_OUTPUT_STORAGE });
+  process.exit(1);
+}
+if (AUDIO_OUTPUT_STORAGE === 's3' && !buckets.has(AUDIO_OUTPUT_BUCKET_ID)) {
+  logger.error('AUDIO_OUTPUT_BUCKET does not name a configured bucket', { bucket: AUDIO_OUTPUT_BUCKET_ID });
+  process.exit(1);
+}
+// The expiry sweep deletes everything below the prefix, so it may not be the bucket root.
+if (AUDIO_OUTPUT_STORAGE === 's3' && !AUDIO_OUTPUT_PREFIX) {
+  logger.error('AUDIO_OUTPUT_PREFIX must not be empty when AUDIO_OUTPUT_STORAGE is "s3"');
+  process.exit(1);
+}
+if (!['presigned', 'public'].includes(AUDIO_OUTPUT_URLS) || AUDIO_OUTPUT_PREFIX.includes('..')) {
+  logger.error('Invalid audio output configuration', { urls: AUDIO_OUTPUT_URLS, prefix: AUDIO_OUTPUT_PREFIX });
+  process.exit(1);
+}
+
+if (AUDIO_OUTPUT_STORAGE === 's3' && AUDIO_OUTPUT_EXPIRY_MS && !isDerivativeKey(AUDIO_OUTPUT_PREFIX)) {
+  logger.warn('AUDIO_OUTPUT_EXPIRY_HOURS deletes every object below AUDIO_OUTPUT_PREFIX, including files not written by audio jobs', {
+    prefix: AUDIO_OUTPUT_PREFIX
+  });
+}
+
+const audioOutputBucket = AUDIO_OUTPUT_STORAGE === 's3' ? buckets.get(AUDIO_OUTPUT_BUCKET_ID) : null;
+// FFmpeg writes bucket outputs to a temporary directory before they are uploaded.
+const AUDIO_WORK_DIR = audioOutputBucket ? tmpdir() : AUDIO_OUTPUT_DIR;
 const AUDIO_MIN_FRAGMENT_MS = 500;
 const DEFAULT_MIN_SILENCE_MS = 500;
 const DEFAULT_SILENCE_THRESHOLD_DB = -40;
@@ -401,20 +659,30 @@ const cleanupExpiredAudioFiles = async () => {
   }
 };
 
-cleanupExpiredAudioFiles().catch((error) => {
-  logger.warn('Initial audio cleanup run failed', { error: serializeError(error) });
-});
-
-const cleanupTimer = setInterval(() => {
+// Bucket outputs are removed by startAudioOutputExpiry instead.
+if (!audioOutputBucket) {
   cleanupExpiredAudioFiles().catch((error) => {
-    logger.warn('Scheduled audio cleanup failed', { error: serializeError(error) });
+    logger.warn('Initial audio cleanup run failed', { error: serializeError(error) });
   });
-}, AUDIO_CLEANUP_INTERVAL_MS);
 
-if (typeof cleanupTimer.unref === 'function') {
-  cleanupTimer.unref();
+  const cleanupTimer = setInterval(() => {
+    cleanupExpiredAudioFiles().catch((error) => {
+      logger.warn('Scheduled audio cleanup failed', { error: serializeError(error) });
+    });
+  }, AUDIO_CLEANUP_INTERVAL_MS);
+
+  if (typeof cleanupTimer.unref === 'function') {
+    cleanupTimer.unref();
+  }
 }
 
+const audioJobs = createJobQueue({
+  concurrency: AUDIO_JOB_CONCURRENCY,
+  maxQueued: AUDIO_JOB_MAX_QUEUED,
+  retentionMs: AUDIO_RETENTION_MS,
+  logger
+});
+
 const resolveAudioExtension = (file) => {
   const originalExt = typeof file.originalname === 'string'
     ? path.extname(file.originalname).toLowerCase()
@@ -507,7 +775,7 @@ const createAudioSourceError = (statusCode, publicMessage, logMessage) => {
   return error;
 };
 
-const downloadAudioFromPublicUrl = async (audioUrlRaw) => {
+const downloadAudioFromPublicUrl = async (audioUrlRaw, { signal } = {}) => {
   if (typeof audioUrlRaw !== 'string' || audioUrlRaw.trim().length === 0) {
     throw createAudioSourceError(400, 'audio_url is required');
   }
@@ -525,7 +793,7 @@ const downloadAudioFromPublicUrl = async (audioUrlRaw) => {
 
   let response;
   try {
-    response = await fetch(parsedUrl.toString());
+    response = await fetch(parsedUrl.toString(), { signal });
   } catch (error) {
     throw createAudioSourceError(502, 'Unable to download audio from the provided URL', 'Failed to fetch remote audio');
   }
@@ -563,7 +831,7 @@ const downloadAudioFromPublicUrl = async (audioUrlRaw) => {
   const tempFilePath = path.join(tmpdir(), tempFileName);
 
   try {
-    await streamPipeline(response.body, fs.createWriteStream(tempFilePath));
+    await streamPipeline(response.body, fs.createWriteStream(tempFilePath), { signal });
   } catch (error) {
     try {
       await fs.promises.unlink(tempFilePath);
@@ -594,6 +862,37 @@ const downloadAudioFromPublicUrl = async (audioUrlRaw) => {
   };
 };
 
+// Copies an object to a temporary file so FFmpeg can seek in it freely.
+const downloadObjectToTempFile = async ({ bucket, key }, { signal } = {}) => {
+  let response;
+  try {
+    response = await sendS3Command(bucket, new GetObjectCommand({
+      Bucket: bucket.name,
+      Key: key
+    }), { key }, { expectedStatusCodes: [404] });
+  } catch (error) {
+    if (error?.$metadata?.httpStatusCode === 404) {
+      throw createAudioSourceError(404, 'Source object not found');
+    }
+    throw createAudioSourceError(502, 'Unable to read the source object from the bucket', error.message);
+  }
+
+  const tempFilePath = path.join(tmpdir(), `source-${Date.now()}-${crypto.randomUUID()}${path.posix.extname(key).toLowerCase()}`);
+  try {
+    await streamPipeline(response.Body, fs.createWriteStream(tempFilePath), { signal });
+  } catch (error) {
+    await safeUnlink(tempFilePath);
+    throw createAudioSourceError(502, 'Unable to read the source object from the bucket', error.message);
+  }
+
+  return {
+    path: tempFilePath,
+    originalname: path.posix.basename(key),
+    mimetype: response.ContentType || 'application/octet-stream',
+    contentType: response.ContentType || null
+  };
+};
+
 const safeUnlink = async (filePath) => {
   if (!filePath) {
     return;
@@ -611,9 +910,11 @@ const safeUnlink = async (filePath) => {
   }
 };
 
-const runProcess = (binary, args) => new Promise((resolve, reject) => {
+// `signal` kills the process when a job is cancelled; `onStderr` sees output
+// as it arrives, e.g. to follow FFmpeg progress.
+const runProcess = (binary, args, { signal, onStderr } = {}) => new Promise((resolve, reject) => {
   const processArgs = Array.isArray(args) ? args : [];
-  const child = spawn(binary, processArgs);
+  const child = spawn(binary, processArgs, { signal });
   const stdoutChunks = [];
   const stderrChunks = [];
 
@@ -623,6 +924,7 @@ const runProcess = (binary, args) => new Promise((resolve, reject) => {
 
   child.stderr?.on('data', (data) => {
     stderrChunks.push(Buffer.from(data));
+    onStderr?.(data.toString());
   });
 
   child.on('error', (error) => {
@@ -649,21 +951,21 @@ const buildPublicObjectUrl = (location, bucket, key) => {
     return location.trim();
   }
 
-  if (!bucket || !key || !S3_ENDPOINT) {
+  if (!bucket || !key || !bucket.endpoint) {
     return null;
   }
 
   try {
-    const endpointUrl = new URL(S3_ENDPOINT);
+    const endpointUrl = new URL(bucket.endpoint);
     const encodedKey = key
       .split('/')
       .map((part) => encodeURIComponent(part))
       .join('/');
-    const pathStyleUrl = `${endpointUrl.origin}/${bucket}/${encodedKey}`;
+    const pathStyleUrl = `${endpointUrl.origin}/${bucket.name}/${encodedKey}`;
     return pathStyleUrl;
   } catch (error) {
     logger.warn('Failed to construct public object URL', {
-      bucket,
+      bucket: bucket.id,
       key,
       error: serializeError(error)
     });
@@ -671,248 +973,445 @@ const buildPublicObjectUrl = (location, bucket, key) => {
   }
 };
 
-const extractFileName = ({ key, url }) => {
-  const sources = [];
-
-  if (typeof key === 'string' && key.trim()) {
-    sources.push(key.trim());
-  }
-
-  if (typeof url === 'string' && url.trim()) {
-    const trimmedUrl = url.trim();
-    const attempted = new Set([trimmedUrl]);
-    const attemptCandidates = [trimmedUrl];
-
-    const addCandidate = (candidate) => {
-      if (typeof candidate !== 'string' || candidate.length === 0) {
-        return;
-      }
-      if (!attempted.has(candidate)) {
-        attempted.add(candidate);
-        attemptCandidates.push(candidate);
-      }
-    };
-
-    const schemePattern = /^[a-zA-Z][a-zA-Z\d+.-]*:/;
-    const endpointForFallback = (() => {
-      if (!S3_ENDPOINT) {
-        return null;
-      }
-      try {
-        return new URL(S3_ENDPOINT);
-      } catch {
-        return null;
-      }
-    })();
-
-    if (!schemePattern.test(trimmedUrl)) {
-      if (trimmedUrl.startsWith('//')) {
-        addCandidate(`https:${trimmedUrl}`);
-      } else {
-        if (endpointForFallback) {
-          addCandidate(`${endpointForFallback.origin}${trimmedUrl.startsWith('/') ? trimmedUrl : `/${trimmedUrl}`}`);
-        }
-        addCandidate(`https://${trimmedUrl}`);
-      }
-    }
-
-    let parsedUrl = null;
-    for (const candidate of attemptCandidates) {
-      try {
-        parsedUrl = new URL(candidate);
-        break;
-      } catch {
-        continue;
-      }
-    }
-
-    if (parsedUrl) {
-      sources.push(parsedUrl.pathname);
-    } else {
-      logger.warn('Failed to parse upload URL while extracting file name', {
-        url,
-        attempts: Array.from(attempted),
-        error: serializeError(new TypeError('Invalid URL'))
-      });
-      sources.push(trimmedUrl);
-    }
-  }
-
-  for (const source of sources) {
-    const parts = source.split('/').filter(Boolean);
-    const lastSegment = parts[parts.length - 1];
-
-    if (!lastSegment) {
-      continue;
-    }
-
-    let segment = lastSegment;
-    try {
-      segment = decodeURIComponent(lastSegment);
-    } catch (error) {
-      logger.warn('Failed to decode file name segment while extracting file name', {
-        segment: lastSegment,
-        error: serializeError(error)
-      });
-    }
-
-    const parsedPath = path.posix.parse(segment);
-    if (parsedPath.name) {
-      return parsedPath.name;
-    }
-  }
-
-  return null;
-};
-
-const triggerUploadWebhook = async ({ url, key }) => {
-  if (!UPLOAD_WEBHOOK_URL || !url) {
-    return;
-  }
-
-  try {
-    const fileName = extractFileName({ key, url });
-    const response = await fetch(UPLOAD_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url, fileName })
-    });
-
-    if (!response.ok) {
-      logger.warn('Upload webhook responded with non-OK status', {
-        status: response.status,
-        statusText: response.statusText
-      });
-    } else {
-      logger.info('Upload webhook triggered successfully', { url, fileName });
-    }
-  } catch (error) {
-    logger.warn('Failed to trigger upload webhook', {
-      url,
-      error: serializeError(error)
-    });
-  }
-};
+// Events carry the bucket they happened in and the user or token that caused
+// them; `data` depends on the event type (see events/bus.js).
+const publishEvent = (req, type, data, bucket = req.bucket) => eventBus.publish(type, {
+  bucket: bucket?.id ?? null,
+  actor: { username: req.user?.username || null, tokenId: req.token?.id || null },
+  data
+});
 
 const containsTraversal = (value) => value.includes('..');
 
+// Keys and prefixes clients may name. `.derivatives/` is only written by the
+// server, which trusts the thumbnails and metadata it finds there; the trailing
+// slash also catches the bare `.derivatives` folder name.
+const isInvalidKey = (value) => value.startsWith('/') || containsTraversal(value) || isDerivativeKey(`${value}/`);
+
 const trustProxySetting = parseTrustProxy(TRUST_PROXY);
 app.set('trust proxy', trustProxySetting);
 
 logger.info('Server configuration', {
-  s3Endpoint: S3_ENDPOINT,
-  s3EndpointHost: s3EndpointHost || null,
   s3SdkVersion,
-  s3Bucket: S3_BUCKET,
-  usingHetznerEndpoint,
+  buckets: Array.from(buckets.values()).map((bucket) => ({
+    id: bucket.id,
+    bucket: bucket.name,
+    endpointHost: bucket.endpointHost || null,
+    provider: bucket.profile.name,
+    forcePathStyle: bucket.forcePathStyle,
+    signingEscapePath: bucket.signingEscapePath,
+    requestChecksumCalculation: bucket.requestChecksumCalculation,
+    responseChecksumValidation: bucket.responseChecksumValidation,
+    supportsCorsApi: bucket.profile.supportsCorsApi,
+    maxPartCount: bucket.profile.maxPartCount
+  })),
   trustProxy: app.get('trust proxy'),
   logFile: LOG_FILE || null,
   uploadPartSizeBytes: uploadConfig.partSizeBytes,
   uploadMaxConcurrency: uploadConfig.maxConcurrency,
+  uploadMaxParallelFiles: uploadConfig.maxParallelFiles,
+  uploadMaxBytesPerSecond: uploadConfig.maxBytesPerSecond,
+  downloadUrlExpirySeconds: DOWNLOAD_URL_EXPIRY_SECONDS,
+  previewUrlExpirySeconds: PREVIEW_URL_EXPIRY_SECONDS,
+  previewTextMaxBytes: PREVIEW_TEXT_MAX_BYTES,
+  multipartJanitorMaxAgeMs: MULTIPART_JANITOR_MAX_AGE_MS || null,
+  authUsers: userStore.size,
+  sessionIdleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  sessionAbsoluteTimeoutMs: SESSION_ABSOLUTE_TIMEOUT_MS,
+  allowBasicAuth: ALLOW_BASIC_AUTH,
+  dataDir: DATA_DIR,
+  objectIndex: objectIndex ? OBJECT_INDEX_FILE : null,
+  usageSnapshotIntervalMs: USAGE_SNAPSHOT_INTERVAL_MS,
+  audioJobConcurrency: AUDIO_JOB_CONCURRENCY,
+  audioJobMaxQueued: AUDIO_JOB_MAX_QUEUED,
+  eventLogFile: EVENT_LOG_FILE,
+  lastEventId: eventBus.lastId(),
+  webhookSubscriptions: webhookStore.list().length,
+  webhookMaxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  audioOutput: audioOutputBucket
+    ? { bucket: audioOutputBucket.id, prefix: AUDIO_OUTPUT_PREFIX, urls: AUDIO_OUTPUT_URLS, expiryMs: AUDIO_OUTPUT_EXPIRY_MS || null }
+    : 'local',
   requestChecksumCalculation: REQUEST_CHECKSUM_CALCULATION,
-  responseChecksumValidation: RESPONSE_CHECKSUM_VALIDATION,
-  forcePathStyle: FORCE_PATH_STYLE_RESOLVED,
-  signingEscapePath: SIGNING_ESCAPE_PATH
+  responseChecksumValidation: RESPONSE_CHECKSUM_VALIDATION
 });
 app.use(helmet({
   contentSecurityPolicy: false
 }));
 app.use(express.json({ limit: '1mb' }));
-app.use(
-  basicAuth({
-    users: { admin: ADMIN_PASSWORD },
-    challenge: true,
-    realm: 'Hetzner S3 Dashboard'
-  })
-);
 
-app.use(express.static('public', { fallthrough: true }));
+const PUBLIC_PATHS = new Set(['/login.html', '/styles.css', '/session.js']);
+const STATE_CHANGING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
 
-app.get('/api/upload-config', (req, res) => {
-  res.json(uploadConfig);
-});
+const setSessionCookie = (req, res, value, maxAgeMs) => {
+  const attributes = [
+    `${SESSION_COOKIE_NAME}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+  ];
+  if (req.secure) {
+    attributes.push('Secure');
+  }
+  res.setHeader('Set-Cookie', attributes.join('; '));
+};
 
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-const convertVideoToMp3 = (inputPath, outputPath) => new Promise((resolve, reject) => {
-  const ffmpegArguments = [
-    '-y',
-    '-i', inputPath,
-    '-vn',
-    '-acodec', 'libmp3lame',
-    '-q:a', '2',
-    outputPath
-  ];
-
-  const ffmpegProcess = spawn(ffmpegPath, ffmpegArguments);
-  const stderrChunks = [];
+const basicAuthMiddleware = basicAuth({
+  authorizer: (username, password, callback) => {
+    userStore.authenticate(username, password).then((user) => callback(null, Boolean(user)), callback);
+  },
+  authorizeAsync: true,
+  challenge: false
+});
 
-  ffmpegProcess.stderr?.on('data', (data) => {
-    stderrChunks.push(Buffer.from(data));
-  });
+const rejectUnauthenticated = (req, res) => {
+  if (req.method === 'GET' && !req.path.startsWith('/api/') && req.accepts('html')) {
+    const next = encodeURIComponent(req.originalUrl);
+    return res.redirect(`/login.html?next=${next}`);
+  }
+  return res.status(401).json({ error: 'Authentication required' });
+};
 
-  ffmpegProcess.on('error', (error) => {
-    reject(error);
-  });
+// Login has no session and therefore no CSRF token yet, so browsers must show
+// that the form was posted from this origin. Clients that send neither
+// header, such as scripts, are not browsers and are let through.
+const isSameOriginRequest = (req) => {
+  const fetchSite = req.get('sec-fetch-site');
+  if (fetchSite) {
+    return fetchSite === 'same-origin' || fetchSite === 'none';
+  }
 
-  ffmpegProcess.on('close', (code) => {
-    if (code === 0) {
-      resolve();
-    } else {
-      const stderrOutput = stderrChunks.length > 0 ? Buffer.concat(stderrChunks).toString() : '';
-      const error = new Error(`FFmpeg exited with code ${code}${stderrOutput ? `: ${stderrOutput}` : ''}`);
-      reject(error);
-    }
-  });
-});
+  const origin = req.get('origin');
+  if (!origin) {
+    return true;
+  }
 
-const probeAudioDurationMs = async (inputPath) => {
-  const args = [
-    '-v', 'error',
-    '-show_entries', 'format=duration',
-    '-of', 'default=noprint_wrappers=1:nokey=1',
-    inputPath
-  ];
+  const hosts = [req.get('host'), trustProxySetting ? req.get('x-forwarded-host') : null].filter(Boolean);
+  try {
+    return hosts.includes(new URL(origin).host);
+  } catch (error) {
+    return false;
+  }
+};
 
-  const { stdout } = await runProcess(ffprobePath, args);
-  const durationSeconds = Number.parseFloat(stdout.toString().trim());
-  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
-    throw new Error('Unable to determine audio duration');
+// Failed logins back off per client IP and per username, so neither one
+// address nor a spread of addresses can guess passwords quickly.
+app.post('/api/login', asyncHandler(async (req, res) => {
+  if (!isSameOriginRequest(req)) {
+    logger.warn('Cross-origin login rejected', { origin: req.get('origin') || null, ip: req.ip });
+    return res.status(403).json({ error: 'Cross-origin login is not allowed' });
   }
 
-  return Math.floor(durationSeconds * 1000);
-};
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
 
-const detectSilenceIntervals = async (inputPath, { minSilenceMs, silenceThresholdDb }) => {
-  const minSilenceSeconds = Math.max(minSilenceMs, 0) / 1000;
-  const filter = `silencedetect=noise=${silenceThresholdDb}dB:d=${minSilenceSeconds.toFixed(3)}`;
-  const args = [
-    '-hide_banner',
-    '-i', inputPath,
-    '-af', filter,
-    '-f', 'null',
-    '-'
-  ];
+  const throttleKeys = [`ip:${req.ip}`, `user:${username.toLowerCase()}`];
+  const retryAfterMs = loginThrottle.retryAfterMs(throttleKeys);
+  if (retryAfterMs > 0) {
+    logger.warn('Login throttled', { username, ip: req.ip, retryAfterMs });
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ error: 'Too many failed login attempts. Try again later.' });
+  }
 
-  const { stderr } = await runProcess(ffmpegPath, args);
-  const lines = stderr.toString().split(/\r?\n/);
-  const intervals = [];
-  let pending = null;
+  const user = await userStore.authenticate(username, password);
+  if (!user) {
+    loginThrottle.recordFailure(throttleKeys);
+    logger.warn('Login failed', { username, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  loginThrottle.recordSuccess(throttleKeys);
 
-  const silenceStartRegex = /silence_start:\s*([0-9.]+)/i;
-  const silenceEndRegex = /silence_end:\s*([0-9.]+)/i;
+  const { session, cookieValue } = sessionManager.create(user.username);
+  setSessionCookie(req, res, cookieValue, SESSION_ABSOLUTE_TIMEOUT_MS);
+  logger.info('User logged in', { username: user.username, role: user.role, ip: req.ip });
 
-  for (const line of lines) {
-    const startMatch = line.match(silenceStartRegex);
-    if (startMatch) {
-      const value = Number.parseFloat(startMatch[1]);
-      if (Number.isFinite(value)) {
-        pending = { start: value };
-      }
-      continue;
-    }
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    username: user.username,
+    role: user.role,
+    csrfToken: sessionManager.csrfTokenFor(session)
+  });
+}));
+
+app.use((req, res, next) => {
+  if (PUBLIC_PATHS.has(req.path)) {
+    next();
+    return;
+  }
+
+  const session = sessionManager.resolve(parseCookies(req.headers.cookie)[SESSION_COOKIE_NAME]);
+  const sessionUser = session ? userStore.getUser(session.username) : null;
+  if (sessionUser) {
+    req.session = session;
+    req.user = sessionUser;
+    next();
+    return;
+  }
+
+  const bearerMatch = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (bearerMatch) {
+    const token = tokenStore.authenticate(bearerMatch[1]);
+    if (!token) {
+      logger.warn('Rejected invalid or expired API token', { url: req.originalUrl, ip: req.ip });
+      res.status(401).json({ error: 'Invalid or expired API token' });
+      return;
+    }
+
+    req.token = token;
+    req.user = {
+      username: `token:${token.name}`,
+      role: null,
+      policy: tokenPolicy(token)
+    };
+    next();
+    return;
+  }
+
+  if (ALLOW_BASIC_AUTH && /^Basic /i.test(req.headers.authorization || '')) {
+    basicAuthMiddleware(req, res, () => {
+      req.user = userStore.getUser(req.auth?.user);
+      next();
+    });
+    return;
+  }
+
+  rejectUnauthenticated(req, res);
+});
+
+// Browser sessions must echo the CSRF token on every state-changing request.
+// Basic auth clients send credentials explicitly and are not exposed to CSRF.
+app.use((req, res, next) => {
+  if (!req.session || !STATE_CHANGING_METHODS.has(req.method)) {
+    next();
+    return;
+  }
+
+  if (sessionManager.verifyCsrfToken(req.session, req.get(CSRF_HEADER_NAME))) {
+    next();
+    return;
+  }
+
+  logger.warn('Request rejected due to missing or invalid CSRF token', {
+    method: req.method,
+    url: req.originalUrl,
+    user: req.user?.username
+  });
+  res.status(403).json({ error: 'Invalid CSRF token' });
+});
+
+app.post('/api/logout', (req, res) => {
+  sessionManager.destroy(req.session);
+  setSessionCookie(req, res, '', 0);
+  logger.info('User logged out', { username: req.user?.username });
+  res.status(204).end();
+});
+
+// API tokens carry scopes instead of a role, so routes that accept tokens name
+// the scope they need. Routes without a scope are not available to tokens.
+const requireRole = (role, { scope } = {}) => (req, res, next) => {
+  const allowed = req.token
+    ? Boolean(scope) && req.token.scopes.includes(scope)
+    : Boolean(req.user) && hasRole(req.user.role, role);
+  if (allowed) {
+    next();
+    return;
+  }
+
+  logger.warn('Request rejected due to insufficient role', {
+    method: req.method,
+    url: req.originalUrl,
+    user: req.user?.username,
+    role: req.user?.role,
+    tokenId: req.token?.id,
+    requiredRole: role,
+    requiredScope: scope
+  });
+  res.status(403).json({ error: 'Forbidden' });
+};
+
+const rejectByPolicy = (req, res, target, access) => {
+  logger.warn('Request rejected by prefix policy', {
+    method: req.method,
+    url: req.originalUrl,
+    user: req.user?.username,
+    bucket: req.bucket?.id,
+    target,
+    access
+  });
+  return res.status(403).json({ error: 'Access to this location is not allowed' });
+};
+
+// Used for tokens and webhooks that an admin with a prefix policy creates on
+// their own behalf.
+const withinCreatorPolicy = (user, prefix, access, bucketId) => canAccessPrefixIn(
+  user,
+  prefix,
+  access,
+  bucketId,
+  Array.from(buckets.keys())
+);
+
+// Checks a key against the user's prefix policy and sends a 403 when it is not
+// covered. `recursive` also applies every rule nested below a prefix.
+const ensureAccess = (req, res, target, access, { recursive = false } = {}) => {
+  const allowed = recursive
+    ? canAccessPrefix(req.user, target, access, req.bucket.id)
+    : canAccessKey(req.user, target, access, req.bucket.id);
+  if (!allowed) {
+    rejectByPolicy(req, res, target, access);
+  }
+  return allowed;
+};
+
+app.get('/admin.html', requireRole('admin'));
+
+app.use(express.static('public', { fallthrough: true }));
+
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  const requestMeta = {
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+    user: req.user?.username,
+    role: req.user?.role,
+    tokenId: req.token?.id
+  };
+
+  logger.info('Incoming request', requestMeta);
+
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      ...requestMeta,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startTime
+    });
+  });
+
+  next();
+});
+
+const defaultBucketFor = (user) => {
+  if (canUseBucket(user, DEFAULT_BUCKET_ID)) {
+    return buckets.get(DEFAULT_BUCKET_ID);
+  }
+  return Array.from(buckets.values()).find((bucket) => canUseBucket(user, bucket.id)) || null;
+};
+
+// Every /api route works on the bucket named by the `bucket` query or body
+// parameter, falling back to the first bucket the user may use.
+const resolveRequestBucket = (req, res, next) => {
+  const requested = typeof req.query.bucket === 'string' && req.query.bucket
+    ? req.query.bucket
+    : (typeof req.body?.bucket === 'string' && req.body.bucket ? req.body.bucket : null);
+  if (requested === null) {
+    // Users without any bucket still reach /api/me; prefix checks reject the rest.
+    req.bucket = defaultBucketFor(req.user) || buckets.get(DEFAULT_BUCKET_ID);
+    return next();
+  }
+
+  const bucket = buckets.get(requested);
+  if (!bucket) {
+    return res.status(400).json({ error: 'Unknown bucket' });
+  }
+  if (!canUseBucket(req.user, bucket.id)) {
+    return rejectByPolicy(req, res, bucket.id, 'read');
+  }
+
+  req.bucket = bucket;
+  next();
+};
+
+app.use('/api', resolveRequestBucket);
+
+app.get('/api/buckets', (req, res) => {
+  res.json({
+    defaultBucket: defaultBucketFor(req.user)?.id || null,
+    buckets: Array.from(buckets.values())
+      .filter((bucket) => canUseBucket(req.user, bucket.id))
+      .map(({ id, label }) => ({ id, label }))
+  });
+});
+
+app.get('/api/me', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    username: req.user.username,
+    role: req.user.role,
+    homePrefix: req.user.policy?.homePrefix || '',
+    prefixes: req.user.policy?.rules || null,
+    csrfToken: req.session ? sessionManager.csrfTokenFor(req.session) : null
+  });
+});
+
+app.get('/api/upload-config', (req, res) => {
+  res.json({ ...uploadConfig, maxPartCount: req.bucket.profile.maxPartCount });
+});
+
+const convertVideoToMp3 = async (inputPath, outputPath, { signal, onStderr } = {}) => {
+  const ffmpegArguments = [
+    '-y',
+    '-i', inputPath,
+    '-vn',
+    '-acodec', 'libmp3lame',
+    '-q:a', '2',
+    outputPath
+  ];
+
+  await runProcess(ffmpegPath, ffmpegArguments, { signal, onStderr });
+};
+
+const probeAudioDurationMs = async (inputPath) => {
+  const args = [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    inputPath
+  ];
+
+  const { stdout } = await runProcess(ffprobePath, args);
+  const durationSeconds = Number.parseFloat(stdout.toString().trim());
+  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+    throw new Error('Unable to determine audio duration');
+  }
+
+  return Math.floor(durationSeconds * 1000);
+};
+
+const detectSilenceIntervals = async (inputPath, { minSilenceMs, silenceThresholdDb, signal, onStderr }) => {
+  const minSilenceSeconds = Math.max(minSilenceMs, 0) / 1000;
+  const filter = `silencedetect=noise=${silenceThresholdDb}dB:d=${minSilenceSeconds.toFixed(3)}`;
+  const args = [
+    '-hide_banner',
+    '-i', inputPath,
+    '-af', filter,
+    '-f', 'null',
+    '-'
+  ];
+
+  const { stderr } = await runProcess(ffmpegPath, args, { signal, onStderr });
+  const lines = stderr.toString().split(/\r?\n/);
+  const intervals = [];
+  let pending = null;
+
+  const silenceStartRegex = /silence_start:\s*([0-9.]+)/i;
+  const silenceEndRegex = /silence_end:\s*([0-9.]+)/i;
+
+  for (const line of lines) {
+    const startMatch = line.match(silenceStartRegex);
+    if (startMatch) {
+      const value = Number.parseFloat(startMatch[1]);
+      if (Number.isFinite(value)) {
+        pending = { start: value };
+      }
+      continue;
+    }
 
     const endMatch = line.match(silenceEndRegex);
     if (endMatch) {
@@ -1048,7 +1547,9 @@ const transcodeSegment = async ({
   durationMs,
   codec,
   sampleRate,
-  channels
+  channels,
+  signal,
+  onStderr
 }) => {
   const args = [
     '-y',
@@ -1086,7 +1587,7 @@ const transcodeSegment = async ({
   args.push('-map_metadata', '-1');
   args.push(outputPath);
 
-  await runProcess(ffmpegPath, args);
+  await runProcess(ffmpegPath, args, { signal, onStderr });
 };
 
 const generateSegmentFilename = (index, extension) => {
@@ -1096,14 +1597,20 @@ const generateSegmentFilename = (index, extension) => {
   return `segment_${paddedIndex}_${uniqueSuffix}.${extension}`;
 };
 
-const buildAudioUrl = (req, fileName) => {
+// Jobs outlive their request, so the origin for result URLs is captured when
+// the job is submitted.
+const requestOrigin = (req) => {
   const host = req.get('host');
-  if (!host) {
+  return host ? `${req.protocol}://${host}` : null;
+};
+
+const buildAudioUrl = (origin, fileName) => {
+  if (!origin) {
     return null;
   }
 
   const sanitized = encodeURIComponent(fileName);
-  return `${req.protocol}://${host}/${AUDIO_PUBLIC_SUBDIR}/${sanitized}`;
+  return `${origin}/${AUDIO_PUBLIC_SUBDIR}/${sanitized}`;
 };
 
 const parseInteger = (value, fallback, { min, max } = {}) => {
@@ -1152,95 +1659,162 @@ const parseBoolean = (value, fallback = false) => {
   return fallback;
 };
 
-app.post('/splitaudio', audioUploadMiddleware, asyncHandler(async (req, res) => {
-  const body = req.body || {};
-  const audioUrlRaw = typeof body.audio_url === 'string' ? body.audio_url.trim() : '';
+// Turns FFmpeg stats output into job progress. `offsetMs` is the media time
+// already processed by earlier steps of the same job.
+const reportFfmpegProgress = (setProgress, { stage, offsetMs = 0, totalMs = null }) => (chunk) => {
+  const timeMs = parseFfmpegTimeMs(chunk);
+  if (timeMs === null) {
+    return;
+  }
+
+  const processedMs = totalMs ? Math.min(offsetMs + timeMs, totalMs) : offsetMs + timeMs;
+  setProgress({
+    stage,
+    processedMs,
+    totalMs,
+    percent: totalMs ? Math.round((processedMs / totalMs) * 1000) / 10 : null
+  });
+};
 
-  let uploadedFile = req.file;
+const writeSegmentsArchive = (destination, files) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
 
-  if (!uploadedFile && audioUrlRaw) {
-    try {
-      uploadedFile = await downloadAudioFromPublicUrl(audioUrlRaw);
-    } catch (error) {
-      const statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : 502;
-      const publicMessage = typeof error?.publicMessage === 'string'
-        ? error.publicMessage
-        : 'Failed to retrieve audio from the provided URL';
-
-      logger.warn('Failed to download remote audio for split request', {
-        audioUrl: audioUrlRaw || null,
-        statusCode,
+  destination.on('finish', resolve);
+  destination.on('close', resolve);
+  destination.on('error', reject);
+  archive.on('error', reject);
+  archive.pipe(destination);
+  for (const file of files) {
+    archive.file(file.filePath, { name: file.name });
+  }
+
+  const finalizeResult = archive.finalize();
+  if (finalizeResult && typeof finalizeResult.then === 'function') {
+    finalizeResult.catch((error) => {
+      logger.warn('Failed while finalizing audio archive', {
         error: serializeError(error)
       });
-
-      return res.status(statusCode).json({ error: publicMessage });
-    }
+      reject(error);
+    });
   }
+});
 
-  if (!uploadedFile) {
-    return res.status(400).json({ error: 'audio or audio_url is required' });
+const audioOutputUrl = async (bucket, key, { usePublicUrl = false } = {}) => {
+  if (!usePublicUrl) {
+    return getSignedUrl(bucket.client, new GetObjectCommand({ Bucket: bucket.name, Key: key }), {
+      expiresIn: AUDIO_OUTPUT_URL_EXPIRY_SECONDS
+    });
   }
 
-  const rawMode = typeof body.mode === 'string' ? body.mode.trim().toLowerCase() : '';
-  const mode = rawMode === 'silence' ? 'silence' : 'fixed';
-  const minSilenceMs = parseInteger(body.min_silence_ms, DEFAULT_MIN_SILENCE_MS, { min: 1 });
-  const silenceThresholdDb = parseInteger(body.silence_thresh_db, DEFAULT_SILENCE_THRESHOLD_DB, {});
+  const url = buildPublicObjectUrl(null, bucket, key);
+  if (!url) {
+    throw new Error('Failed to build public URL for generated audio');
+  }
+  return url;
+};
 
-  const chunkDurationMs = (() => {
-    const providedMs = parseInteger(body.chunk_duration_ms, null, { min: 1 });
-    if (Number.isInteger(providedMs)) {
-      return providedMs;
+// Makes a generated file available to the client. Local outputs already sit in
+// the public directory; bucket outputs are uploaded and the local copy removed.
+// A `destination` writes the file back into a user's bucket instead of the
+// configured output storage.
+const publishAudioOutput = async ({ filePath, fileName, contentType, origin, destination = null }) => {
+  if (!destination && !audioOutputBucket) {
+    const url = buildAudioUrl(origin, fileName);
+    if (!url) {
+      throw new Error('Failed to build public URL for generated audio');
     }
+    return { url };
+  }
 
-    const providedSec = parseInteger(body.chunk_duration_sec, null, { min: 1 });
-    if (Number.isInteger(providedSec)) {
-      return providedSec * 1000;
-    }
+  const bucket = destination?.bucket || audioOutputBucket;
+  const key = `${destination ? destination.prefix : AUDIO_OUTPUT_PREFIX}${fileName}`;
+  if (destination && !destination.overwrite && await headObjectIfExists(bucket, key)) {
+    throw createAudioSourceError(409, 'Destination object already exists', `Destination object already exists: ${key}`);
+  }
 
-    return DEFAULT_CHUNK_DURATION_MS;
-  })();
+  const { size } = await fs.promises.stat(filePath);
+  await sendS3Command(bucket, new PutObjectCommand({
+    Bucket: bucket.name,
+    Key: key,
+    Body: fs.createReadStream(filePath),
+    ContentLength: size,
+    ContentType: contentType
+  }), { key, size });
+  await safeUnlink(filePath);
 
-  const overlapMs = (() => {
-    const providedMs = parseInteger(body.chunk_overlap_ms, null, { min: 0 });
-    if (Number.isInteger(providedMs)) {
-      return providedMs;
-    }
+  searchCache.invalidate(bucket.id, key);
+  updateObjectIndex(bucket, (index) => index.upsert(bucket.id, { key, size, lastModified: new Date() }));
+  const url = await audioOutputUrl(bucket, key, { usePublicUrl: !destination && AUDIO_OUTPUT_URLS === 'public' });
+  return { url, bucket: bucket.id, key };
+};
 
-    const providedSec = parseInteger(body.chunk_overlap_sec, null, { min: 0 });
-    if (Number.isInteger(providedSec)) {
-      return providedSec * 1000;
-    }
+// Removes outputs of a job that failed or was cancelled part-way.
+const discardAudioOutputs = async (bucket, keys) => {
+  if (!bucket || keys.length === 0) {
+    return;
+  }
 
-    return DEFAULT_CHUNK_OVERLAP_MS;
-  })();
+  try {
+    await deleteKeys(bucket, keys, { discardedOutputs: keys.length });
+    keys.forEach((key) => searchCache.invalidate(bucket.id, key));
+    updateObjectIndex(bucket, (index) => keys.forEach((key) => index.remove(bucket.id, key)));
+  } catch (error) {
+    logger.warn('Failed to remove partial audio outputs', { bucket: bucket.id, keys, error: serializeError(error) });
+  }
+};
 
-  const maxSegments = parseInteger(body.max_segments, null, { min: 1 });
-  const sampleRate = parseInteger(body.sample_rate, null, { min: 1 });
-  const channels = parseInteger(body.channels, null, { min: 1, max: 2 });
-  const archiveRequested = parseBoolean(body.archive, false);
+const splitAudio = async ({ uploadedFile, audioUrl, sourceObject, destination, options, origin }, { signal, setProgress }) => {
+  const {
+    mode,
+    minSilenceMs,
+    silenceThresholdDb,
+    chunkDurationMs,
+    overlapMs,
+    maxSegments,
+    sampleRate,
+    channels,
+    archive
+  } = options;
+  let sourceFile = uploadedFile;
 
-  const originalExt = path.extname(uploadedFile.originalname || '').toLowerCase().replace('.', '');
-  const normalizedSourceFormat = originalExt === 'mp3' ? 'mp3' : null;
-  const targetFormat = 'mp3';
-  const needsTranscode = Boolean(sampleRate) || Boolean(channels) || normalizedSourceFormat !== targetFormat;
-  const codec = needsTranscode ? targetFormat : 'copy';
+  try {
+    if (!sourceFile) {
+      setProgress({ stage: 'downloading' });
+      try {
+        sourceFile = sourceObject
+          ? await downloadObjectToTempFile(sourceObject, { signal })
+          : await downloadAudioFromPublicUrl(audioUrl, { signal });
+      } catch (error) {
+        logger.warn('Failed to download remote audio for split request', {
+          audioUrl: audioUrl || null,
+          sourceKey: sourceObject?.key || null,
+          statusCode: Number.isInteger(error?.statusCode) ? error.statusCode : 502,
+          error: serializeError(error)
+        });
+        throw typeof error?.publicMessage === 'string'
+          ? error
+          : createAudioSourceError(502, 'Failed to retrieve audio from the provided URL', error?.message);
+      }
+    }
 
-  const createdFiles = [];
-  const segmentMetadata = [];
+    const originalExt = path.extname(sourceFile.originalname || '').toLowerCase().replace('.', '');
+    const normalizedSourceFormat = originalExt === 'mp3' ? 'mp3' : null;
+    const targetFormat = 'mp3';
+    const needsTranscode = Boolean(sampleRate) || Boolean(channels) || normalizedSourceFormat !== targetFormat;
+    const codec = needsTranscode ? targetFormat : 'copy';
 
-  try {
     let durationMs;
     try {
-      durationMs = await probeAudioDurationMs(uploadedFile.path);
+      durationMs = await probeAudioDurationMs(sourceFile.path);
     } catch (error) {
       logger.warn('Failed to determine audio duration for split request', {
         error: serializeError(error)
       });
-      return res.status(422).json({ error: 'Unable to process the uploaded audio file' });
+      throw createAudioSourceError(422, 'Unable to process the uploaded audio file', error.message);
     }
 
     if (!Number.isFinite(durationMs) || durationMs <= 0) {
-      return res.status(422).json({ error: 'Unable to process the uploaded audio file' });
+      throw createAudioSourceError(422, 'Unable to process the uploaded audio file');
     }
 
     let segments;
@@ -1248,9 +1822,12 @@ app.post('/splitaudio', audioUploadMiddleware, asyncHandler(async (req, res) =>
       if (mode === 'fixed') {
         segments = buildFixedSegments(durationMs, chunkDurationMs, overlapMs);
       } else {
-        const silenceIntervals = await detectSilenceIntervals(uploadedFile.path, {
+        setProgress({ stage: 'analyzing', processedMs: 0, totalMs: durationMs, percent: 0 });
+        const silenceIntervals = await detectSilenceIntervals(sourceFile.path, {
           minSilenceMs,
-          silenceThresholdDb
+          silenceThresholdDb,
+          signal,
+          onStderr: reportFfmpegProgress(setProgress, { stage: 'analyzing', totalMs: durationMs })
         });
         segments = buildSegmentsFromSilence(durationMs, silenceIntervals);
         segments = mergeShortSegments(segments, AUDIO_MIN_FRAGMENT_MS);
@@ -1262,7 +1839,7 @@ app.post('/splitaudio', audioUploadMiddleware, asyncHandler(async (req, res) =>
       logger.warn('Failed to analyze audio for splitting', {
         error: serializeError(error)
       });
-      return res.status(422).json({ error: 'Unable to analyze audio for splitting' });
+      throw createAudioSourceError(422, 'Unable to analyze audio for splitting', error.message);
     }
 
     if (maxSegments && Number.isInteger(maxSegments)) {
@@ -1272,141 +1849,151 @@ app.post('/splitaudio', audioUploadMiddleware, asyncHandler(async (req, res) =>
     segments = segments.filter((segment) => segment.durationMs > 0);
 
     if (segments.length === 0) {
-      return res.status(422).json({ error: 'No audio segments could be produced with the provided options' });
+      throw createAudioSourceError(422, 'No audio segments could be produced with the provided options');
     }
 
-    const unlinkCreatedFiles = async () => {
-      await Promise.all(createdFiles.map((filePath) => safeUnlink(filePath)));
-    };
+    const createdFiles = [];
+    const publishedKeys = [];
+    const workDir = destination ? tmpdir() : AUDIO_WORK_DIR;
+    // Written-back segments are named after their source instead of the
+    // unique names used in the shared output location.
+    const outputNameFor = (index, filename) => (destination
+      ? `${destination.baseName}_${String(index + 1).padStart(3, '0')}.${targetFormat}`
+      : filename);
+    const segmentMetadata = [];
+    const totalMs = segments.reduce((total, segment) => total + segment.durationMs, 0);
+    let processedMs = 0;
+    let archivePath = null;
 
     try {
       for (let index = 0; index < segments.length; index += 1) {
         const segment = segments[index];
         const filename = generateSegmentFilename(index, targetFormat);
-        const outputPath = path.join(AUDIO_OUTPUT_DIR, filename);
-
+        const outputPath = path.join(workDir, filename);
+
+        setProgress({
+          stage: 'transcoding',
+          segment: index + 1,
+          segments: segments.length,
+          processedMs,
+          totalMs,
+          percent: Math.round((processedMs / totalMs) * 1000) / 10
+        });
+        createdFiles.push({ filePath: outputPath, name: outputNameFor(index, filename) });
         await transcodeSegment({
-          inputPath: uploadedFile.path,
+          inputPath: sourceFile.path,
           outputPath,
           startMs: segment.startMs,
           durationMs: segment.durationMs,
           codec,
           sampleRate,
-          channels
+          channels,
+          signal,
+          onStderr: reportFfmpegProgress(setProgress, { stage: 'transcoding', offsetMs: processedMs, totalMs })
         });
-
-        createdFiles.push(outputPath);
+        processedMs += segment.durationMs;
 
         const stats = await fs.promises.stat(outputPath);
-        const publicUrl = buildAudioUrl(req, filename);
+        segmentMetadata.push({
+          filename: outputNameFor(index, filename),
+          start_ms: segment.startMs,
+          end_ms: segment.endMs,
+          duration_ms: segment.durationMs,
+          size_bytes: stats.size
+        });
+      }
 
-        if (!publicUrl) {
-          throw new Error('Failed to build public URL for audio segment');
-        }
+      // Archives are built from the local segments before bucket uploads
+      // remove them. A streamed archive is only a transport and is not kept.
+      if (archive) {
+        const archiveName = `segments-${Date.now()}-${crypto.randomUUID()}.zip`;
+        archivePath = path.join(archive === 'stream' ? tmpdir() : workDir, archiveName);
+        createdFiles.push({ filePath: archivePath, name: destination ? `${destination.baseName}_segments.zip` : archiveName });
+        await writeSegmentsArchive(fs.createWriteStream(archivePath), createdFiles.slice(0, -1));
+      }
 
-        segmentMetadata.push({
-          filePath: outputPath,
-          filename,
-          startMs: segment.startMs,
-          endMs: segment.endMs,
-          durationMs: segment.durationMs,
-          sizeBytes: stats.size,
-          url: publicUrl
+      setProgress({ stage: destination || audioOutputBucket ? 'uploading' : 'publishing' });
+      for (const [index, segment] of segmentMetadata.entries()) {
+        const output = await publishAudioOutput({
+          filePath: createdFiles[index].filePath,
+          fileName: segment.filename,
+          contentType: 'audio/mpeg',
+          origin,
+          destination
         });
+        if (output.key) {
+          publishedKeys.push(output.key);
+        }
+        Object.assign(segment, { url: output.url }, output.key ? { bucket: output.bucket, key: output.key } : {});
       }
     } catch (error) {
       logger.warn('Failed to generate audio segments', {
         error: serializeError(error)
       });
-      await unlinkCreatedFiles();
-      return res.status(422).json({ error: 'Failed to generate audio segments' });
+      await Promise.all(createdFiles.map((file) => safeUnlink(file.filePath)));
+      await discardAudioOutputs(destination?.bucket || audioOutputBucket, publishedKeys);
+      throw typeof error?.publicMessage === 'string'
+        ? error
+        : createAudioSourceError(422, 'Failed to generate audio segments', error.message);
     }
 
+    setProgress({ stage: 'done', processedMs: totalMs, totalMs, percent: 100 });
     cleanupExpiredAudioFiles().catch((error) => {
       logger.warn('On-demand audio cleanup failed after splitting audio', {
         error: serializeError(error)
       });
     });
 
-    const responseSegments = segmentMetadata.map((segment) => ({
-      filename: segment.filename,
-      url: segment.url,
-      start_ms: segment.startMs,
-      end_ms: segment.endMs,
-      duration_ms: segment.durationMs,
-      size_bytes: segment.sizeBytes
-    }));
-
-    if (archiveRequested) {
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="segments-${Date.now()}.zip"`);
-
-      const archive = archiver('zip', { zlib: { level: 9 } });
-
-      archive.pipe(res);
-      for (const segment of segmentMetadata) {
-        archive.file(segment.filePath, { name: segment.filename });
-      }
+    const result = {
+      segments: segmentMetadata,
+      count: segmentMetadata.length,
+      mode
+    };
 
-      const archivePromise = new Promise((resolve, reject) => {
-        res.on('finish', resolve);
-        res.on('close', resolve);
-        res.on('error', reject);
-        archive.on('error', reject);
-        const finalizeResult = archive.finalize();
-        if (finalizeResult && typeof finalizeResult.then === 'function') {
-          finalizeResult.catch((error) => {
-            logger.warn('Failed while finalizing audio archive', {
-              error: serializeError(error)
-            });
-            reject(error);
-          });
+    // Background jobs cannot stream a response, so their archive is published
+    // next to the segments instead.
+    if (archive === 'publish') {
+      try {
+        const output = await publishAudioOutput({
+          filePath: archivePath,
+          fileName: createdFiles[createdFiles.length - 1].name,
+          contentType: 'application/zip',
+          origin,
+          destination
+        });
+        result.archive_url = output.url;
+        if (output.key) {
+          result.archive_key = output.key;
         }
-      });
-
-      await archivePromise;
-    } else {
-      res.json({
-        segments: responseSegments,
-        count: responseSegments.length,
-        mode
-      });
+      } catch (error) {
+        await safeUnlink(archivePath);
+        await discardAudioOutputs(destination?.bucket || audioOutputBucket, publishedKeys);
+        throw typeof error?.publicMessage === 'string'
+          ? error
+          : createAudioSourceError(422, 'Failed to generate audio segments', error.message);
+      }
+      return { result, archivePath: null };
     }
+
+    return { result, archivePath };
   } finally {
-    await safeUnlink(uploadedFile.path);
-  }
-}));
-
-app.post('/api/getaudio', asyncHandler(async (req, res) => {
-  const { video_url: videoUrlRaw } = req.body || {};
-
-  if (typeof videoUrlRaw !== 'string' || videoUrlRaw.trim().length === 0) {
-    return res.status(400).json({ error: 'video_url is required' });
-  }
-
-  let videoUrl;
-  try {
-    videoUrl = new URL(videoUrlRaw.trim());
-  } catch (error) {
-    return res.status(400).json({ error: 'video_url must be a valid URL' });
-  }
-
-  if (!['http:', 'https:'].includes(videoUrl.protocol)) {
-    return res.status(400).json({ error: 'video_url must use HTTP or HTTPS' });
+    await safeUnlink(sourceFile?.path);
   }
+};
 
+const downloadVideoFromUrl = async (videoUrl, { signal }) => {
   const extension = path.extname(videoUrl.pathname).toLowerCase();
   const extensionIndicatesVideo = extension && ALLOWED_VIDEO_EXTENSIONS.has(extension);
 
   let response;
   try {
-    response = await fetch(videoUrl.toString());
+    response = await fetch(videoUrl.toString(), { signal });
   } catch (error) {
     logger.warn('Failed to download video for audio extraction', {
       videoUrl: videoUrl.toString(),
       error: serializeError(error)
     });
-    return res.status(502).json({ error: 'Unable to download video from the provided URL' });
+    throw createAudioSourceError(502, 'Unable to download video from the provided URL', error.message);
   }
 
   if (!response.ok) {
@@ -1415,19 +2002,19 @@ app.post('/api/getaudio', asyncHandler(async (req, res) => {
       status: response.status,
       statusText: response.statusText
     });
-    return res.status(502).json({ error: 'Unable to download video from the provided URL' });
+    throw createAudioSourceError(502, 'Unable to download video from the provided URL');
   }
 
   if (!response.body) {
     logger.warn('Video response did not include a body', { videoUrl: videoUrl.toString() });
-    return res.status(502).json({ error: 'Invalid response when downloading video' });
+    throw createAudioSourceError(502, 'Invalid response when downloading video');
   }
 
   const contentType = response.headers.get('content-type');
   const contentTypeIsVideo = typeof contentType === 'string' && contentType.toLowerCase().startsWith('video/');
 
   if (!contentTypeIsVideo && !extensionIndicatesVideo) {
-    return res.status(400).json({ error: 'Provided URL does not reference a supported video file' });
+    throw createAudioSourceError(400, 'Provided URL does not reference a supported video file');
   }
 
   const tempVideoPath = path.join(
@@ -1436,57 +2023,47 @@ app.post('/api/getaudio', asyncHandler(async (req, res) => {
   );
 
   try {
-    await streamPipeline(response.body, fs.createWriteStream(tempVideoPath));
+    await streamPipeline(response.body, fs.createWriteStream(tempVideoPath), { signal });
   } catch (error) {
     logger.warn('Failed while downloading video stream', {
       videoUrl: videoUrl.toString(),
       error: serializeError(error)
     });
-    try {
-      await fs.promises.unlink(tempVideoPath);
-    } catch (cleanupError) {
-      if (cleanupError?.code !== 'ENOENT') {
-        logger.warn('Failed to remove incomplete temporary video file', {
-          file: tempVideoPath,
-          error: serializeError(cleanupError)
-        });
-      }
-    }
-    return res.status(502).json({ error: 'Failed to download video content' });
+    await safeUnlink(tempVideoPath);
+    throw createAudioSourceError(502, 'Failed to download video content', error.message);
   }
 
+  return { path: tempVideoPath, contentType };
+};
+
+const extractAudioFromVideo = async ({ videoUrl, sourceObject, destination, origin }, { signal, setProgress }) => {
+  setProgress({ stage: 'downloading' });
+  const source = sourceObject
+    ? await downloadObjectToTempFile(sourceObject, { signal })
+    : await downloadVideoFromUrl(videoUrl, { signal });
+  const tempVideoPath = source.path;
+  const sourceLabel = sourceObject ? `${sourceObject.bucket.id}:${sourceObject.key}` : videoUrl.toString();
+
   const audioFileName = `audio-${Date.now()}-${crypto.randomUUID()}.mp3`;
-  const audioFilePath = path.join(AUDIO_OUTPUT_DIR, audioFileName);
+  const audioFilePath = path.join(destination ? tmpdir() : AUDIO_WORK_DIR, audioFileName);
 
   try {
-    await convertVideoToMp3(tempVideoPath, audioFilePath);
+    // The duration only drives progress reporting, so extraction goes ahead without it.
+    const durationMs = await probeAudioDurationMs(tempVideoPath).catch(() => null);
+    setProgress({ stage: 'converting', processedMs: 0, totalMs: durationMs, percent: durationMs ? 0 : null });
+    await convertVideoToMp3(tempVideoPath, audioFilePath, {
+      signal,
+      onStderr: reportFfmpegProgress(setProgress, { stage: 'converting', totalMs: durationMs })
+    });
   } catch (error) {
     logger.warn('Failed to convert video to audio', {
-      videoUrl: videoUrl.toString(),
+      source: sourceLabel,
       error: serializeError(error)
     });
-    try {
-      await fs.promises.unlink(audioFilePath);
-    } catch (cleanupError) {
-      if (cleanupError?.code !== 'ENOENT') {
-        logger.warn('Failed to remove incomplete audio file', {
-          file: audioFilePath,
-          error: serializeError(cleanupError)
-        });
-      }
-    }
-    return res.status(500).json({ error: 'Failed to extract audio from the provided video' });
+    await safeUnlink(audioFilePath);
+    throw createAudioSourceError(500, 'Failed to extract audio from the provided video', error.message);
   } finally {
-    try {
-      await fs.promises.unlink(tempVideoPath);
-    } catch (cleanupError) {
-      if (cleanupError?.code !== 'ENOENT') {
-        logger.warn('Failed to remove temporary video file', {
-          file: tempVideoPath,
-          error: serializeError(cleanupError)
-        });
-      }
-    }
+    await safeUnlink(tempVideoPath);
   }
 
   cleanupExpiredAudioFiles().catch((error) => {
@@ -1495,48 +2072,493 @@ app.post('/api/getaudio', asyncHandler(async (req, res) => {
     });
   });
 
-  const audioUrl = buildAudioUrl(req, audioFileName);
-  if (!audioUrl) {
-    logger.warn('Unable to construct public URL for audio file', { fileName: audioFileName });
-    return res.status(500).json({ error: 'Failed to generate audio URL' });
+  let output;
+  try {
+    setProgress({ stage: destination || audioOutputBucket ? 'uploading' : 'publishing' });
+    output = await publishAudioOutput({
+      filePath: audioFilePath,
+      fileName: destination ? `${destination.baseName}.mp3` : audioFileName,
+      contentType: 'audio/mpeg',
+      origin,
+      destination
+    });
+  } catch (error) {
+    logger.warn('Unable to publish extracted audio file', { fileName: audioFileName, error: serializeError(error) });
+    await safeUnlink(audioFilePath);
+    throw typeof error?.publicMessage === 'string'
+      ? error
+      : createAudioSourceError(500, 'Failed to generate audio URL', error.message);
   }
 
   logger.info('Audio extracted from video successfully', {
     audioFile: audioFileName,
-    videoUrl: videoUrl.toString(),
-    contentType: contentType || null
+    source: sourceLabel,
+    contentType: source.contentType || null,
+    key: output.key || null
   });
 
-  res.json({ audio_url: audioUrl });
-}));
+  return { audio_url: output.url, ...(output.key ? { bucket: output.bucket, key: output.key } : {}) };
+};
 
-app.use((req, res, next) => {
-  const startTime = Date.now();
-  const requestMeta = {
-    method: req.method,
-    url: req.originalUrl,
-    ip: req.ip,
-    user: req.auth?.user
+const outputBaseName = (name) => path.posix.basename(name, path.posix.extname(name)).trim() || 'audio';
+
+// Resolves the optional `source_key` (an object in the request's bucket used
+// as input) and `output_prefix` (where results are written back) fields. Sends
+// the error response and returns null when either is not allowed.
+const resolveAudioObjects = async (req, res, { extensions, sourceName }) => {
+  const body = req.body || {};
+  const sourceKey = typeof body.source_key === 'string' ? body.source_key.trim() : '';
+  let sourceObject = null;
+  if (sourceKey) {
+    if (isInvalidKey(sourceKey) || sourceKey.endsWith('/')) {
+      res.status(400).json({ error: 'Invalid source_key' });
+      return null;
+    }
+    if (!extensions.has(path.posix.extname(sourceKey).toLowerCase())) {
+      res.status(415).json({ error: 'source_key does not reference a supported file type' });
+      return null;
+    }
+    if (req.token && !req.token.scopes.includes('objects:read')) {
+      res.status(403).json({ error: 'Forbidden' });
+      return null;
+    }
+    if (!ensureAccess(req, res, sourceKey, 'read')) {
+      return null;
+    }
+    if (!await headObjectIfExists(req.bucket, sourceKey)) {
+      res.status(404).json({ error: 'Source object not found' });
+      return null;
+    }
+    sourceObject = { bucket: req.bucket, key: sourceKey };
+  }
+
+  if (typeof body.output_prefix !== 'string') {
+    return { sourceObject, destination: null };
+  }
+
+  const trimmedPrefix = body.output_prefix.trim();
+  const prefix = trimmedPrefix && !trimmedPrefix.endsWith('/') ? `${trimmedPrefix}/` : trimmedPrefix;
+  if (isInvalidKey(prefix)) {
+    res.status(400).json({ error: 'Invalid output_prefix' });
+    return null;
+  }
+  if (req.token && !req.token.scopes.includes('objects:write')) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+
+  // Every output key starts with the prefix and the source's base name.
+  const baseName = outputBaseName(sourceKey || sourceName || '');
+  if (!ensureAccess(req, res, `${prefix}${baseName}`, 'write')) {
+    return null;
+  }
+
+  return {
+    sourceObject,
+    destination: { bucket: req.bucket, prefix, baseName, overwrite: parseBoolean(body.overwrite, false) }
   };
+};
 
-  logger.info('Incoming request', requestMeta);
+const AUDIO_JOB_SCOPES = { splitaudio: 'audio:split', getaudio: 'audio:extract' };
 
-  res.on('finish', () => {
-    logger.info('Request completed', {
-      ...requestMeta,
-      statusCode: res.statusCode,
-      durationMs: Date.now() - startTime
+// Tokens own their jobs individually, even when several share a name.
+const jobOwnerFor = (req) => (req.token ? `token:${req.token.id}` : req.user.username);
+
+const wantsAsyncResponse = (req) => parseBoolean(req.query.async ?? req.body?.async, false)
+  || /\brespond-async\b/i.test(req.get('prefer') || '');
+
+const AUDIO_JOB_EVENTS = { splitaudio: 'audio.split', getaudio: 'audio.extracted' };
+
+// Describes the input of an audio job in its event without exposing temp paths.
+const audioEventSource = ({ uploadedFile, url, sourceObject }) => {
+  if (sourceObject) {
+    return { key: sourceObject.key };
+  }
+  return url ? { url } : { fileName: uploadedFile?.originalname || null };
+};
+
+// Audio work always runs as a job so FFmpeg concurrency stays bounded. Clients
+// that ask for an asynchronous response get the job back right away and poll
+// /api/jobs/:id; others wait for the result as before, and disconnecting
+// cancels the job.
+const respondWithAudioJob = async (req, res, { type, respondAsync, run, cleanup, sendResult, event }) => {
+  const job = audioJobs.submit({
+    type,
+    owner: jobOwnerFor(req),
+    run,
+    onFinish: async (finished) => {
+      await cleanup?.();
+      if (finished.status === 'succeeded' && event) {
+        publishEvent(req, AUDIO_JOB_EVENTS[type], { jobId: finished.id, ...event.data(finished.result) }, event.bucket);
+      }
+    }
+  });
+  if (!job) {
+    await cleanup?.();
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Too many audio jobs are waiting; try again later' });
+  }
+
+  if (respondAsync) {
+    const statusUrl = `/api/jobs/${job.id}`;
+    res.location(statusUrl);
+    return res.status(202).json({ ...audioJobs.toPublicJob(job), statusUrl });
+  }
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      audioJobs.cancel(job);
+    }
+  });
+  await job.done;
+  if (res.destroyed) {
+    return;
+  }
+  if (job.status !== 'succeeded') {
+    return res.status(job.statusCode).json({ error: job.error });
+  }
+  return sendResult ? sendResult(job.result) : res.json(job.result);
+};
+
+// Multipart form fields are only available once multer has parsed the upload,
+// so the bucket is resolved afterwards and a rejected upload is removed again.
+const resolveUploadRequestBucket = (req, res, next) => {
+  let resolved = false;
+  resolveRequestBucket(req, res, () => {
+    resolved = true;
+    next();
+  });
+  if (!resolved) {
+    safeUnlink(req.file?.path);
+  }
+};
+
+app.post('/splitaudio', requireRole('uploader', { scope: 'audio:split' }), audioUploadMiddleware, resolveUploadRequestBucket, asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const audioUrlRaw = typeof body.audio_url === 'string' ? body.audio_url.trim() : '';
+  const uploadedFile = req.file;
+  const sourceCount = [uploadedFile, audioUrlRaw, typeof body.source_key === 'string' && body.source_key.trim()]
+    .filter(Boolean).length;
+
+  if (sourceCount !== 1) {
+    await safeUnlink(uploadedFile?.path);
+    return res.status(400).json({
+      error: sourceCount === 0 ? 'audio, audio_url or source_key is required' : 'Provide only one of audio, audio_url or source_key'
     });
+  }
+
+  const objects = await resolveAudioObjects(req, res, {
+    extensions: ALLOWED_AUDIO_EXTENSIONS,
+    sourceName: uploadedFile?.originalname || (audioUrlRaw && URL.canParse(audioUrlRaw) ? new URL(audioUrlRaw).pathname : '')
+  });
+  if (!objects) {
+    await safeUnlink(uploadedFile?.path);
+    return;
+  }
+
+  const rawMode = typeof body.mode === 'string' ? body.mode.trim().toLowerCase() : '';
+  const mode = rawMode === 'silence' ? 'silence' : 'fixed';
+  const minSilenceMs = parseInteger(body.min_silence_ms, DEFAULT_MIN_SILENCE_MS, { min: 1 });
+  const silenceThresholdDb = parseInteger(body.silence_thresh_db, DEFAULT_SILENCE_THRESHOLD_DB, {});
+
+  const chunkDurationMs = (() => {
+    const providedMs = parseInteger(body.chunk_duration_ms, null, { min: 1 });
+    if (Number.isInteger(providedMs)) {
+      return providedMs;
+    }
+
+    const providedSec = parseInteger(body.chunk_duration_sec, null, { min: 1 });
+    if (Number.isInteger(providedSec)) {
+      return providedSec * 1000;
+    }
+
+    return DEFAULT_CHUNK_DURATION_MS;
+  })();
+
+  const overlapMs = (() => {
+    const providedMs = parseInteger(body.chunk_overlap_ms, null, { min: 0 });
+    if (Number.isInteger(providedMs)) {
+      return providedMs;
+    }
+
+    const providedSec = parseInteger(body.chunk_overlap_sec, null, { min: 0 });
+    if (Number.isInteger(providedSec)) {
+      return providedSec * 1000;
+    }
+
+    return DEFAULT_CHUNK_OVERLAP_MS;
+  })();
+
+  const maxSegments = parseInteger(body.max_segments, null, { min: 1 });
+  const sampleRate = parseInteger(body.sample_rate, null, { min: 1 });
+  const channels = parseInteger(body.channels, null, { min: 1, max: 2 });
+  const archiveRequested = parseBoolean(body.archive, false);
+  const respondAsync = wantsAsyncResponse(req);
+  let streamedArchivePath = null;
+
+  await respondWithAudioJob(req, res, {
+    type: 'splitaudio',
+    respondAsync,
+    run: async (context) => {
+      const { result, archivePath } = await splitAudio({
+        uploadedFile,
+        audioUrl: audioUrlRaw,
+        ...objects,
+        options: {
+          mode,
+          minSilenceMs,
+          silenceThresholdDb,
+          chunkDurationMs,
+          overlapMs,
+          maxSegments,
+          sampleRate,
+          channels,
+          archive: archiveRequested ? (respondAsync ? 'publish' : 'stream') : null
+        },
+        origin: requestOrigin(req)
+      }, context);
+      streamedArchivePath = archivePath;
+      return result;
+    },
+    cleanup: () => safeUnlink(uploadedFile?.path),
+    event: {
+      bucket: objects.sourceObject?.bucket || objects.destination?.bucket || null,
+      // `keys` lists the objects written back into the bucket.
+      data: (result) => ({
+        source: audioEventSource({ uploadedFile, url: audioUrlRaw, sourceObject: objects.sourceObject }),
+        count: result.count,
+        mode: result.mode,
+        segments: result.segments,
+        archiveUrl: result.archive_url || null,
+        ...(objects.destination
+          ? { keys: [...result.segments.map((segment) => segment.key), result.archive_key].filter(Boolean) }
+          : {})
+      })
+    },
+    sendResult: archiveRequested
+      ? async () => {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="segments-${Date.now()}.zip"`);
+        await streamPipeline(fs.createReadStream(streamedArchivePath), res);
+      }
+      : null
+  });
+  await safeUnlink(streamedArchivePath);
+}));
+
+app.post('/api/getaudio', requireRole('uploader', { scope: 'audio:extract' }), asyncHandler(async (req, res) => {
+  const { video_url: videoUrlRaw, source_key: sourceKey } = req.body || {};
+  const hasVideoUrl = typeof videoUrlRaw === 'string' && videoUrlRaw.trim().length > 0;
+  const hasSourceKey = typeof sourceKey === 'string' && sourceKey.trim().length > 0;
+
+  if (hasVideoUrl === hasSourceKey) {
+    return res.status(400).json({ error: hasVideoUrl ? 'Provide either video_url or source_key' : 'video_url or source_key is required' });
+  }
+
+  let videoUrl = null;
+  if (hasVideoUrl) {
+    try {
+      videoUrl = new URL(videoUrlRaw.trim());
+    } catch (error) {
+      return res.status(400).json({ error: 'video_url must be a valid URL' });
+    }
+
+    if (!['http:', 'https:'].includes(videoUrl.protocol)) {
+      return res.status(400).json({ error: 'video_url must use HTTP or HTTPS' });
+    }
+  }
+
+  const objects = await resolveAudioObjects(req, res, {
+    extensions: ALLOWED_VIDEO_EXTENSIONS,
+    sourceName: videoUrl?.pathname
+  });
+  if (!objects) {
+    return;
+  }
+
+  await respondWithAudioJob(req, res, {
+    type: 'getaudio',
+    respondAsync: wantsAsyncResponse(req),
+    run: (context) => extractAudioFromVideo({ videoUrl, ...objects, origin: requestOrigin(req) }, context),
+    event: {
+      bucket: objects.sourceObject?.bucket || objects.destination?.bucket || null,
+      data: (result) => ({
+        source: audioEventSource({ url: videoUrl?.toString(), sourceObject: objects.sourceObject }),
+        audioUrl: result.audio_url,
+        ...(objects.destination ? { key: result.key } : {})
+      })
+    }
   });
+}));
+
+// Jobs are visible to whoever submitted them and to admins. API tokens also
+// need the scope of the endpoint that created the job. Other users' jobs are
+// reported as missing.
+const canAccessJob = (req, job) => {
+  if (req.token) {
+    return job.owner === jobOwnerFor(req) && req.token.scopes.includes(AUDIO_JOB_SCOPES[job.type]);
+  }
+  return job.owner === jobOwnerFor(req) || hasRole(req.user.role, 'admin');
+};
 
+const loadJob = (req, res, next) => {
+  const job = audioJobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  req.job = job;
   next();
+};
+
+app.get('/api/jobs', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    ...audioJobs.stats(),
+    concurrency: AUDIO_JOB_CONCURRENCY,
+    jobs: audioJobs.list()
+      .filter((job) => canAccessJob(req, job))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(audioJobs.toPublicJob)
+  });
+});
+
+app.get('/api/jobs/:id', loadJob, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(audioJobs.toPublicJob(req.job));
+});
+
+app.post('/api/jobs/:id/cancel', loadJob, (req, res) => {
+  if (!audioJobs.cancel(req.job)) {
+    return res.status(409).json({ error: 'Job has already finished', job: audioJobs.toPublicJob(req.job) });
+  }
+  logger.info('Job cancellation requested', { jobId: req.job.id, user: req.user?.username });
+  res.status(202).json(audioJobs.toPublicJob(req.job));
+});
+
+// Events are only streamed for buckets and keys the client can read. Audio job
+// events are visible to whoever ran the job and to admins, like the jobs.
+const canSeeEvent = (req, event) => {
+  if (event.bucket && !canUseBucket(req.user, event.bucket)) {
+    return false;
+  }
+
+  if (Object.values(AUDIO_JOB_EVENTS).includes(event.type)) {
+    const owner = event.actor?.tokenId ? `token:${event.actor.tokenId}` : event.actor?.username;
+    return owner === jobOwnerFor(req) || (!req.token && hasRole(req.user.role, 'admin'));
+  }
+
+  return eventPaths(event).every((value) => (value.endsWith('/')
+    ? canBrowsePrefix(req.user, value, event.bucket)
+    : canAccessKey(req.user, value, 'read', event.bucket)));
+};
+
+// Streams outlive the request that authorized them, so the session, token or
+// user is looked up again and `req.user` refreshed with any role or policy
+// change before each event and heartbeat.
+const reauthorizeStream = (req) => {
+  if (req.token) {
+    return tokenStore.isActive(req.token.id);
+  }
+  if (req.session && !sessionManager.isActive(req.session)) {
+    return false;
+  }
+
+  const user = userStore.getUser(req.session ? req.session.username : req.auth?.user);
+  if (!user || !hasRole(user.role, 'viewer')) {
+    return false;
+  }
+  req.user = user;
+  return true;
+};
+
+// Server-Sent Events stream of the event bus. Reconnecting clients send the
+// last id they saw in Last-Event-ID (or `since`) and get the events they
+// missed while those are still buffered; otherwise a `reset` event tells them
+// to reload their state. Uploads in progress are sent as `upload.progress`
+// events on every connect.
+app.get('/api/events', requireRole('viewer', { scope: 'objects:read' }), (req, res) => {
+  const types = typeof req.query.types === 'string' && req.query.types
+    ? new Set(req.query.types.split(',').map((type) => type.trim()).filter(Boolean))
+    : null;
+  const unknownTypes = types ? [...types].filter((type) => !EVENT_TYPES.includes(type)) : [];
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({ error: `Unknown event types: ${unknownTypes.join(', ')}` });
+  }
+
+  const bucketId = typeof req.query.bucket === 'string' && req.query.bucket ? req.bucket.id : null;
+  const lastEventIdRaw = req.get('Last-Event-ID') ?? req.query.since;
+  const lastEventId = lastEventIdRaw === undefined ? null : Number.parseInt(lastEventIdRaw, 10);
+  if (lastEventId !== null && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const endIfUnauthorized = () => {
+    if (reauthorizeStream(req)) {
+      return false;
+    }
+    logger.info('Ending event stream whose credentials are no longer valid', {
+      user: req.user?.username,
+      tokenId: req.token?.id
+    });
+    stop();
+    res.end();
+    return true;
+  };
+
+  const send = (event) => {
+    if (res.writableEnded || endIfUnauthorized()) {
+      return;
+    }
+    if ((types && !types.has(event.type)) || (bucketId && event.bucket !== bucketId) || !canSeeEvent(req, event)) {
+      return;
+    }
+    const idLine = event.id === null ? '' : `id: ${event.id}\n`;
+    res.write(`${idLine}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  if (lastEventId !== null) {
+    const missed = eventBus.since(lastEventId);
+    if (missed === null) {
+      res.write(`id: ${eventBus.lastId()}\nevent: reset\ndata: {}\n\n`);
+    } else {
+      missed.forEach(send);
+    }
+  }
+  uploadTracker.active().forEach(send);
+
+  if (res.writableEnded) {
+    return;
+  }
+
+  unsubscribe = eventBus.subscribe(send);
+  heartbeat = setInterval(() => {
+    if (!endIfUnauthorized()) {
+      res.write(': keep-alive\n\n');
+    }
+  }, EVENT_STREAM_HEARTBEAT_MS);
+  req.on('close', stop);
 });
 
-const sendS3Command = async (command, meta = {}) => {
+const sendS3Command = async (bucket, command, commandMeta = {}, { expectedStatusCodes = [] } = {}) => {
   const commandName = command?.constructor?.name || 'UnknownCommand';
+  const meta = { bucket: bucket.id, ...commandMeta };
   logger.info('Executing S3 command', { command: commandName, ...meta });
   try {
-    const response = await s3Client.send(command);
+    const response = await bucket.client.send(command);
     logger.info('S3 command succeeded', {
       command: commandName,
       ...meta,
@@ -1544,6 +2566,16 @@ const sendS3Command = async (command, meta = {}) => {
     });
     return response;
   } catch (error) {
+    const httpStatusCode = error?.$metadata?.httpStatusCode;
+    if (expectedStatusCodes.includes(httpStatusCode)) {
+      logger.info('S3 command returned expected status', {
+        command: commandName,
+        ...meta,
+        httpStatusCode
+      });
+      throw error;
+    }
+
     logger.error('S3 command failed', {
       command: commandName,
       ...meta,
@@ -1553,7 +2585,7 @@ const sendS3Command = async (command, meta = {}) => {
   }
 };
 
-app.get('/api/list', asyncHandler(async (req, res) => {
+app.get('/api/list', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
   const prefixParam = typeof req.query.prefix === 'string' ? req.query.prefix : '';
   let decodedPrefix = '';
   try {
@@ -1562,39 +2594,77 @@ app.get('/api/list', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Invalid prefix encoding' });
   }
 
-  if (decodedPrefix.startsWith('/') || containsTraversal(decodedPrefix)) {
+  if (isInvalidKey(decodedPrefix)) {
     return res.status(400).json({ error: 'Invalid prefix' });
   }
+
+  if (!canBrowsePrefix(req.user, decodedPrefix, req.bucket.id)) {
+    return rejectByPolicy(req, res, decodedPrefix, 'read');
+  }
+
+  const sort = typeof req.query.sort === 'string' && req.query.sort ? req.query.sort : 'name';
+  if (!INDEX_SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${INDEX_SORT_FIELDS.join(', ')}` });
+  }
+  const order = req.query.order === 'desc' ? 'desc' : 'asc';
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
   const continuationToken = typeof req.query.continuationToken === 'string' ? req.query.continuationToken : undefined;
 
+  const indexStatus = objectIndex?.status(req.bucket.id);
+  if (indexStatus?.ready) {
+    const offset = continuationToken === undefined ? 0 : Number(continuationToken);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid continuationToken' });
+    }
+
+    return res.json(listFromIndex(req, decodedPrefix, { sort, order, query, offset, indexStatus }));
+  }
+
   const params = {
-    Bucket: S3_BUCKET,
+    Bucket: req.bucket.name,
     Prefix: decodedPrefix === '/' ? '' : decodedPrefix,
     Delimiter: '/',
     ContinuationToken: continuationToken
   };
 
   const command = new ListObjectsV2Command(params);
-  const response = await sendS3Command(command, {
+  const response = await sendS3Command(req.bucket, command, {
     prefix: params.Prefix,
     continuationToken: params.ContinuationToken
   });
 
+  // Without the index, filtering and sorting only apply to the current page.
+  const matchesQuery = (name) => !query || name.toLowerCase().includes(query.toLowerCase());
+  const direction = order === 'desc' ? -1 : 1;
+  const compareByName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+  const compareObjects = {
+    name: (a, b) => compareByName(a.key, b.key),
+    size: (a, b) => (a.size || 0) - (b.size || 0),
+    lastModified: (a, b) => new Date(a.lastModified) - new Date(b.lastModified)
+  }[sort];
+
   const prefixes = (response.CommonPrefixes || [])
+    .filter((item) => !isDerivativeKey(item.Prefix) && canBrowsePrefix(req.user, item.Prefix, req.bucket.id))
+    .filter((item) => matchesQuery(item.Prefix.slice(decodedPrefix.length)))
     .map((item) => ({ prefix: item.Prefix }))
-    .sort((a, b) => a.prefix.localeCompare(b.prefix, undefined, { sensitivity: 'base' }));
+    .sort((a, b) => (sort === 'name' ? direction : 1) * compareByName(a.prefix, b.prefix));
 
   const objects = (response.Contents || [])
-    .filter((object) => object.Key !== decodedPrefix)
+    .filter((object) => object.Key !== decodedPrefix && canAccessKey(req.user, object.Key, 'read', req.bucket.id))
+    .filter((object) => !isDerivativeKey(object.Key) && matchesQuery(object.Key.slice(decodedPrefix.length)))
     .map((object) => ({
       key: object.Key,
       size: object.Size,
-      lastModified: object.LastModified
+      lastModified: object.LastModified,
+      thumbnailUrl: thumbnailUrlFor(req.bucket, object.Key)
     }))
-    .sort((a, b) => a.key.localeCompare(b.key, undefined, { sensitivity: 'base' }));
+    .sort((a, b) => direction * compareObjects(a, b));
 
   res.json({
     prefix: decodedPrefix,
+    source: 's3',
+    sort,
+    order,
     isTruncated: response.IsTruncated || false,
     nextContinuationToken: response.NextContinuationToken || null,
     prefixes,
@@ -1602,41 +2672,1101 @@ app.get('/api/list', asyncHandler(async (req, res) => {
   });
 }));
 
-app.post('/api/list', asyncHandler(async (req, res) => {
-  res.status(405).json({ error: 'Method not allowed' });
-}));
+// Index listings sort and filter across the whole prefix and report folder
+// totals. Totals are hidden for folders the user can only pass through.
+const listFromIndex = (req, prefix, { sort, order, query, offset, indexStatus }) => {
+  const listing = objectIndex.listChildren(req.bucket.id, prefix, { sort, order, query, limit: LIST_PAGE_SIZE, offset });
+  const canRead = (key) => canAccessKey(req.user, key, 'read', req.bucket.id);
 
-app.post('/api/mkdir', asyncHandler(async (req, res) => {
-  const { prefix } = req.body || {};
-  if (!prefix || typeof prefix !== 'string') {
-    return res.status(400).json({ error: 'prefix is required' });
-  }
+  return {
+    prefix,
+    source: 'index',
+    sort,
+    order,
+    isTruncated: listing.nextOffset !== null,
+    nextContinuationToken: listing.nextOffset !== null ? String(listing.nextOffset) : null,
+    prefixes: listing.folders
+      .filter((folder) => !isDerivativeKey(folder.prefix) && canBrowsePrefix(req.user, folder.prefix, req.bucket.id))
+      .map((folder) => (canRead(folder.prefix) ? folder : { prefix: folder.prefix })),
+    objects: listing.files
+      .filter((object) => object.key !== prefix && !isDerivativeKey(object.key) && canRead(object.key))
+      .map((object) => ({ ...object, thumbnailUrl: thumbnailUrlFor(req.bucket, object.key) })),
+    totalObjects: canRead(prefix) ? listing.totalFiles : null,
+    summary: canRead(prefix) ? listing.summary : null,
+    indexedAt: indexStatus.lastScanCompletedAt
+  };
+};
 
-  if (prefix.startsWith('/') || containsTraversal(prefix)) {
+// Walks the whole subtree below `prefix` without a delimiter and streams
+// newline-delimited JSON batches of matches as pages are scanned.
+app.get('/api/search', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  if (isInvalidKey(prefix)) {
     return res.status(400).json({ error: 'Invalid prefix' });
   }
 
-  const sanitized = prefix.endsWith('/') ? prefix : `${prefix}/`;
-  const command = new PutObjectCommand({
-    Bucket: S3_BUCKET,
-    Key: sanitized,
-    Body: ''
+  const { criteria, error } = parseSearchCriteria(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!canBrowsePrefix(req.user, prefix, req.bucket.id)) {
+    return rejectByPolicy(req, res, prefix, 'read');
+  }
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  const writeLine = (payload) => {
+    res.write(`${JSON.stringify(payload)}\n`);
+  };
+
+  writeLine({ type: 'start', prefix, query: criteria.query });
+
+  let scanned = 0;
+  let matched = 0;
+  let truncated = false;
+  try {
+    for await (const objects of searchCache.iterate(req.bucket.id, prefix, fetchSubtreePage(req.bucket, prefix))) {
+      if (closed) {
+        break;
+      }
+
+      scanned += objects.length;
+      const matches = [];
+      for (const object of objects) {
+        if (!isDerivativeKey(object.key) && matchesSearch(object, criteria) && canAccessKey(req.user, object.key, 'read', req.bucket.id)) {
+          if (matched >= criteria.limit) {
+            truncated = true;
+            break;
+          }
+          matched += 1;
+          matches.push({ ...object, lastModified: object.lastModified ? new Date(object.lastModified).toISOString() : null });
+        }
+      }
+
+      writeLine(matches.length > 0 ? { type: 'matches', scanned, objects: matches } : { type: 'progress', scanned });
+      if (truncated) {
+        break;
+      }
+    }
+
+    writeLine({ type: 'done', scanned, matched, truncated });
+  } catch (error) {
+    logger.error('Object search failed', { prefix, error: serializeError(error) });
+    writeLine({ type: 'error', error: 'Search failed' });
+  }
+
+  res.end();
+}));
+
+const toIsoTimestamp = (value) => (value === null || value === undefined ? null : new Date(value).toISOString());
+
+// Aggregates the readable objects below a prefix. Growth history comes from
+// the stored snapshots and is only shown to users who can read the whole prefix.
+app.get('/api/stats', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  if (isInvalidKey(prefix) || (prefix && !prefix.endsWith('/'))) {
+    return res.status(400).json({ error: 'Invalid prefix' });
+  }
+
+  if (!canBrowsePrefix(req.user, prefix, req.bucket.id)) {
+    return rejectByPolicy(req, res, prefix, 'read');
+  }
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const source = objectIndex?.status(req.bucket.id).ready ? 'index' : 's3';
+  const accumulator = createUsageAccumulator(prefix);
+  for await (const objects of subtreeObjectPages(req.bucket, prefix)) {
+    if (closed) {
+      return;
+    }
+    for (const object of objects) {
+      if (!isDerivativeKey(object.key) && canAccessKey(req.user, object.key, 'read', req.bucket.id)) {
+        accumulator.add(object);
+      }
+    }
+  }
+
+  const usage = accumulator.result();
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    prefix,
+    source,
+    generatedAt: new Date().toISOString(),
+    ...usage,
+    largestFiles: usage.largestFiles.map((file) => ({ ...file, lastModified: toIsoTimestamp(file.lastModified) })),
+    history: canAccessPrefix(req.user, prefix, 'read', req.bucket.id)
+      ? usageSnapshots.history(req.bucket.id, prefix)
+      : null,
+    historyDepth: USAGE_SNAPSHOT_DEPTH
+  });
+}));
+
+app.get('/api/download-url', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  if (isInvalidKey(key) || key.endsWith('/')) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'read')) {
+    return;
+  }
+
+  const expiresIn = parseInteger(req.query.expiresIn, DOWNLOAD_URL_EXPIRY_SECONDS, {
+    min: 1,
+    max: MAX_PRESIGNED_URL_EXPIRY_SECONDS
+  });
+  const fileName = path.posix.basename(key);
+  const { url, expiresAt } = await presignObjectUrl(req.bucket, key, { expiresIn });
+  logger.info('Generated signed download URL', { key, expiresIn });
+
+  res.setHeader('Cache-Control', 'no-store, max-age=0, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  res.json({
+    url,
+    key,
+    fileName,
+    expiresIn,
+    expiresAt
+  });
+}));
+
+// Presigned inline GET for the preview pane. Browsers stream media with range
+// requests against the URL; text previews only fetch the first
+// PREVIEW_TEXT_MAX_BYTES.
+app.get('/api/preview-url', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  if (isInvalidKey(key) || key.endsWith('/')) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'read')) {
+    return;
+  }
+
+  const head = await headObjectIfExists(req.bucket, key);
+  if (!head) {
+    return res.status(404).json({ error: 'Object not found' });
+  }
+
+  const fileName = path.posix.basename(key);
+  const size = head.ContentLength ?? 0;
+  const preview = resolvePreview({
+    key,
+    contentType: head.ContentType,
+    videoExtensions: ALLOWED_VIDEO_EXTENSIONS,
+    audioExtensions: ALLOWED_AUDIO_EXTENSIONS
+  });
+
+  res.setHeader('Cache-Control', 'no-store, max-age=0, must-revalidate');
+  if (!preview.kind) {
+    return res.json({ key, fileName, size, kind: null, contentType: head.ContentType || null });
+  }
+
+  const { url, expiresAt } = await presignObjectUrl(req.bucket, key, {
+    disposition: 'inline',
+    contentType: preview.contentType,
+    expiresIn: PREVIEW_URL_EXPIRY_SECONDS
+  });
+  logger.info('Generated signed preview URL', { key, kind: preview.kind, expiresIn: PREVIEW_URL_EXPIRY_SECONDS });
+
+  res.json({
+    url,
+    key,
+    fileName,
+    size,
+    kind: preview.kind,
+    format: preview.format,
+    contentType: head.ContentType || null,
+    lastModified: head.LastModified ? head.LastModified.toISOString() : null,
+    ...(preview.kind === 'text' ? { textLimitBytes: PREVIEW_TEXT_MAX_BYTES, truncated: size > PREVIEW_TEXT_MAX_BYTES } : {}),
+    expiresIn: PREVIEW_URL_EXPIRY_SECONDS,
+    expiresAt
+  });
+}));
+
+// Object details for the info drawer. Media files also carry the stored
+// ffprobe summary; when it is missing or describes an older version of the
+// object, extraction is queued and `mediaStatus` reports 'pending'.
+app.get('/api/object-info', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+  if (!key || isInvalidKey(key) || key.endsWith('/')) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'read')) {
+    return;
+  }
+
+  const head = await headObjectIfExists(req.bucket, key);
+  if (!head) {
+    return res.status(404).json({ error: 'Object not found' });
+  }
+
+  const mediaKind = mediaKindOf(key);
+  let media = null;
+  let mediaStatus = 'unsupported';
+  if (mediaKind) {
+    const stored = await readMediaMetadata(req.bucket, key);
+    const current = stored && stored.version === MEDIA_METADATA_VERSION && stored.sourceEtag === (head.ETag || null);
+    if (current) {
+      media = stored;
+      mediaStatus = 'ready';
+    } else {
+      metadataQueue.enqueue(req.bucket, key, { owner: jobOwnerFor(req) });
+      mediaStatus = metadataQueue.status(req.bucket, key) === 'failed' ? 'failed' : 'pending';
+    }
+  }
+
+  res.setHeader('Cache-Control', 'no-store, max-age=0, must-revalidate');
+  res.json({
+    key,
+    fileName: path.posix.basename(key),
+    size: head.ContentLength ?? 0,
+    contentType: head.ContentType || null,
+    lastModified: head.LastModified ? head.LastModified.toISOString() : null,
+    etag: head.ETag || null,
+    storageClass: head.StorageClass || null,
+    userMetadata: head.Metadata || {},
+    mediaKind,
+    mediaStatus,
+    media
+  });
+}));
+
+// Redirects to the stored thumbnail of an image or video. Missing thumbnails
+// are queued for generation and reported as 404 until they exist.
+app.get('/api/thumbnail', requireRole('viewer', { scope: 'objects:read' }), asyncHandler(async (req, res) => {
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+  if (!key || isInvalidKey(key) || key.endsWith('/')) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'read')) {
+    return;
+  }
+
+  if (!thumbnailSourceKind(key, ALLOWED_VIDEO_EXTENSIONS)) {
+    return res.status(404).json({ error: 'No thumbnail for this file type' });
+  }
+
+  const thumbnailKey = thumbnailKeyFor(DERIVATIVES_PREFIX, key);
+  const head = await headObjectIfExists(req.bucket, thumbnailKey);
+  if (!head) {
+    const queued = thumbnailQueue.enqueue(req.bucket, key);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(404).json({ error: 'Thumbnail not generated yet', queued });
+  }
+
+  const url = await getSignedUrl(req.bucket.client, new GetObjectCommand({
+    Bucket: req.bucket.name,
+    Key: thumbnailKey
+  }), { expiresIn: THUMBNAIL_URL_EXPIRY_SECONDS });
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
+}));
+
+// Regenerates thumbnails for one object or every image and video below a
+// prefix, replacing existing ones.
+app.post('/api/thumbnails', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
+  const { key, prefix } = req.body || {};
+  if (typeof key === 'string') {
+    if (!key || isInvalidKey(key) || key.endsWith('/')) {
+      return res.status(400).json({ error: 'Invalid key' });
+    }
+    if (!ensureAccess(req, res, key, 'read')) {
+      return;
+    }
+    if (!thumbnailSourceKind(key, ALLOWED_VIDEO_EXTENSIONS)) {
+      return res.status(400).json({ error: 'Thumbnails are only generated for images and videos' });
+    }
+
+    const queued = thumbnailQueue.enqueue(req.bucket, key, { force: true });
+    return res.status(202).json({ key, queued: queued ? 1 : 0 });
+  }
+
+  if (typeof prefix !== 'string' || isInvalidKey(prefix) || (prefix && !prefix.endsWith('/'))) {
+    return res.status(400).json({ error: 'key or prefix is required' });
+  }
+  if (!canBrowsePrefix(req.user, prefix, req.bucket.id)) {
+    return rejectByPolicy(req, res, prefix, 'read');
+  }
+
+  let queued = 0;
+  for await (const objects of subtreeObjectPages(req.bucket, prefix)) {
+    for (const object of objects) {
+      if (!isDerivativeKey(object.key)
+        && thumbnailSourceKind(object.key, ALLOWED_VIDEO_EXTENSIONS)
+        && canAccessKey(req.user, object.key, 'read', req.bucket.id)
+        && thumbnailQueue.enqueue(req.bucket, object.key, { force: true })) {
+        queued += 1;
+      }
+    }
+  }
+
+  logger.info('Thumbnail regeneration queued', { prefix, queued });
+  res.status(202).json({ prefix, queued });
+}));
+
+app.post('/api/list', asyncHandler(async (req, res) => {
+  res.status(405).json({ error: 'Method not allowed' });
+}));
+
+app.post('/api/mkdir', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
+  const { prefix } = req.body || {};
+  if (!prefix || typeof prefix !== 'string') {
+    return res.status(400).json({ error: 'prefix is required' });
+  }
+
+  if (isInvalidKey(prefix)) {
+    return res.status(400).json({ error: 'Invalid prefix' });
+  }
+
+  const sanitized = prefix.endsWith('/') ? prefix : `${prefix}/`;
+  if (!ensureAccess(req, res, sanitized, 'write')) {
+    return;
+  }
+
+  const command = new PutObjectCommand({
+    Bucket: req.bucket.name,
+    Key: sanitized,
+    Body: ''
+  });
+
+  await sendS3Command(req.bucket, command, { key: sanitized });
+  searchCache.invalidate(req.bucket.id, sanitized);
+  updateObjectIndex(req.bucket, (index) => index.upsert(req.bucket.id, { key: sanitized, size: 0, lastModified: new Date() }));
+  publishEvent(req, 'folder.created', { prefix: sanitized });
+  res.status(201).json({ key: sanitized });
+}));
+
+const LIST_PAGE_SIZE = 1000;
+
+const searchCache = createListingCache({ ttlMs: SEARCH_CACHE_TTL_MS, maxObjects: SEARCH_CACHE_MAX_OBJECTS });
+
+// Lists one page of the whole subtree below a prefix in the shape used by the
+// listing cache.
+const fetchSubtreePage = (bucket, prefix) => async (continuationToken) => {
+  const response = await sendS3Command(bucket, new ListObjectsV2Command({
+    Bucket: bucket.name,
+    Prefix: prefix,
+    ContinuationToken: continuationToken,
+    MaxKeys: LIST_PAGE_SIZE
+  }), { prefix, continuationToken, subtree: true });
+
+  return {
+    objects: (response.Contents || []).map((object) => ({
+      key: object.Key,
+      size: object.Size,
+      lastModified: object.LastModified ? object.LastModified.getTime() : null
+    })),
+    nextContinuationToken: response.IsTruncated ? response.NextContinuationToken : null
+  };
+};
+
+async function* listSubtreePages(bucket, prefix) {
+  const fetchPage = fetchSubtreePage(bucket, prefix);
+  let continuationToken;
+  do {
+    const page = await fetchPage(continuationToken);
+    yield page.objects;
+    continuationToken = page.nextContinuationToken;
+  } while (continuationToken);
+}
+
+// Usage statistics read from the object index once a bucket has been indexed
+// and from the S3 listing otherwise. Background jobs skip the listing cache so
+// they do not fill it with whole buckets.
+const subtreeObjectPages = (bucket, prefix, { cached = true } = {}) => {
+  if (objectIndex?.status(bucket.id).ready) {
+    return objectIndex.iterateObjects(bucket.id, prefix);
+  }
+  return cached
+    ? searchCache.iterate(bucket.id, prefix, fetchSubtreePage(bucket, prefix))
+    : listSubtreePages(bucket, prefix);
+};
+
+// Keeps the optional object index in step with writes made through the app.
+// Failures are only logged; the next reconciliation scan repairs the index.
+const updateObjectIndex = (bucket, update) => {
+  if (!objectIndex) {
+    return;
+  }
+
+  try {
+    update(objectIndex);
+  } catch (error) {
+    logger.warn('Failed to update object index', { bucket: bucket.id, error: serializeError(error) });
+  }
+};
+const DELETE_BATCH_SIZE = 1000;
+
+async function* listObjectPages(bucket, prefix) {
+  let continuationToken = undefined;
+
+  do {
+    const listResponse = await sendS3Command(bucket, new ListObjectsV2Command({
+      Bucket: bucket.name,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+      MaxKeys: LIST_PAGE_SIZE
+    }), { prefix, continuationToken });
+
+    yield listResponse.Contents || [];
+
+    continuationToken = listResponse.IsTruncated ? listResponse.NextContinuationToken : undefined;
+  } while (continuationToken);
+}
+
+const deleteKeys = async (bucket, keys, meta = {}) => {
+  const errors = [];
+
+  for (let index = 0; index < keys.length; index += DELETE_BATCH_SIZE) {
+    const batch = keys.slice(index, index + DELETE_BATCH_SIZE);
+    const deleteResponse = await sendS3Command(bucket, new DeleteObjectsCommand({
+      Bucket: bucket.name,
+      Delete: {
+        Objects: batch.map((key) => ({ Key: key })),
+        Quiet: true
+      }
+    }), { ...meta, batchSize: batch.length });
+
+    errors.push(...(deleteResponse.Errors || []).map((error) => ({
+      key: error.Key,
+      code: error.Code || null,
+      message: error.Message || null
+    })));
+  }
+
+  return errors;
+};
+
+const thumbnailUrlFor = (bucket, key) => (thumbnailSourceKind(key, ALLOWED_VIDEO_EXTENSIONS)
+  ? `/api/thumbnail?${new URLSearchParams({ bucket: bucket.id, key }).toString()}`
+  : null);
+
+const fileHasContent = async (filePath) => {
+  try {
+    return (await fs.promises.stat(filePath)).size > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// FFmpeg errors repeat their input, so presigned URLs are cut from them before
+// they are logged. Processes still running after `timeoutMs` are killed and
+// count as failed.
+const runOnSignedUrl = (binary, args, url, { timeoutMs }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  return runProcess(binary, args, { signal }).catch((error) => {
+    if (signal.aborted) {
+      throw new Error(`${path.basename(binary)} did not finish within ${Math.round(timeoutMs / 1000)} seconds`);
+    }
+    error.message = error.message.split(url).join('<presigned URL>');
+    throw error;
+  });
+};
+
+const putDerivative = async (bucket, derivativeKey, body, contentType, sourceKey) => {
+  await sendS3Command(bucket, new PutObjectCommand({
+    Bucket: bucket.name,
+    Key: derivativeKey,
+    Body: body,
+    ContentType: contentType
+  }), { key: derivativeKey, sourceKey });
+
+  searchCache.invalidate(bucket.id, derivativeKey);
+  updateObjectIndex(bucket, (index) => index.upsert(bucket.id, { key: derivativeKey, size: body.length, lastModified: new Date() }));
+};
+
+// Extracts a poster frame from a video or scales down an image and stores it
+// as a JPEG under the derivatives prefix.
+const generateThumbnail = async (bucket, key) => {
+  const kind = thumbnailSourceKind(key, ALLOWED_VIDEO_EXTENSIONS);
+  const input = await getSignedUrl(bucket.client, new GetObjectCommand({ Bucket: bucket.name, Key: key }), {
+    expiresIn: 10 * 60
+  });
+  const outputPath = path.join(tmpdir(), `thumbnail-${Date.now()}-${crypto.randomUUID()}.jpg`);
+
+  try {
+    const seekSeconds = kind === 'video' ? POSTER_FRAME_SECONDS : 0;
+    await runOnSignedUrl(ffmpegPath, buildThumbnailArgs({ input, output: outputPath, seekSeconds }), input, {
+      timeoutMs: THUMBNAIL_TIMEOUT_MS
+    });
+    // Clips shorter than the seek position produce no frame; use the first one.
+    if (seekSeconds > 0 && !(await fileHasContent(outputPath))) {
+      await runOnSignedUrl(ffmpegPath, buildThumbnailArgs({ input, output: outputPath }), input, { timeoutMs: THUMBNAIL_TIMEOUT_MS });
+    }
+    if (!(await fileHasContent(outputPath))) {
+      throw new Error('FFmpeg did not produce a thumbnail');
+    }
+
+    const body = await fs.promises.readFile(outputPath);
+    await putDerivative(bucket, thumbnailKeyFor(DERIVATIVES_PREFIX, key), body, 'image/jpeg', key);
+    logger.info('Thumbnail generated', { bucket: bucket.id, key, kind, bytes: body.length });
+  } finally {
+    await safeUnlink(outputPath);
+  }
+};
+
+const thumbnailQueue = createObjectQueue({ label: 'Thumbnail generation', run: generateThumbnail, logger });
+
+const mediaKindOf = (key) => mediaSourceKind(key, {
+  videoExtensions: ALLOWED_VIDEO_EXTENSIONS,
+  audioExtensions: ALLOWED_AUDIO_EXTENSIONS
+});
+
+// Probes a media object and stores the summary as a JSON sidecar under the
+// derivatives prefix. The sidecar records the source ETag so replaced objects
+// are probed again.
+const extractMediaMetadata = async (bucket, key) => {
+  if (!ffprobePath) {
+    throw new Error('FFprobe is not available');
+  }
+
+  const head = await headObjectIfExists(bucket, key);
+  if (!head) {
+    return;
+  }
+
+  const input = await getSignedUrl(bucket.client, new GetObjectCommand({ Bucket: bucket.name, Key: key }), {
+    expiresIn: 10 * 60
+  });
+  const { stdout } = await runOnSignedUrl(ffprobePath, buildProbeArgs(input), input, { timeoutMs: METADATA_PROBE_TIMEOUT_MS });
+  const metadata = {
+    version: MEDIA_METADATA_VERSION,
+    sourceKey: key,
+    sourceEtag: head.ETag || null,
+    sourceSize: head.ContentLength ?? null,
+    probedAt: new Date().toISOString(),
+    ...summarizeProbe(JSON.parse(stdout.toString()))
+  };
+
+  const body = Buffer.from(JSON.stringify(metadata));
+  await putDerivative(bucket, metadataKeyFor(DERIVATIVES_PREFIX, key), body, 'application/json', key);
+  logger.info('Media metadata extracted', { bucket: bucket.id, key, durationMs: metadata.durationMs });
+};
+
+const metadataQueue = createObjectQueue({
+  label: 'Metadata extraction',
+  run: extractMediaMetadata,
+  logger,
+  maxQueuedPerOwner: METADATA_MAX_QUEUED_PER_REQUESTER
+});
+
+const readMediaMetadata = async (bucket, key) => {
+  const metadataKey = metadataKeyFor(DERIVATIVES_PREFIX, key);
+  try {
+    const response = await sendS3Command(bucket, new GetObjectCommand({
+      Bucket: bucket.name,
+      Key: metadataKey
+    }), { key: metadataKey }, { expectedStatusCodes: [404] });
+    return JSON.parse(await response.Body.transformToString());
+  } catch (error) {
+    if (error?.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Queues the thumbnail and metadata jobs that apply to a newly written object.
+const queueDerivatives = (bucket, key) => {
+  if (thumbnailSourceKind(key, ALLOWED_VIDEO_EXTENSIONS)) {
+    thumbnailQueue.enqueue(bucket, key, { force: true });
+  }
+  if (mediaKindOf(key)) {
+    metadataQueue.enqueue(bucket, key, { force: true });
+  }
+};
+
+// Derivatives are dropped together with their originals; moved or renamed
+// files get new ones the next time they are shown.
+const removeDerivatives = (bucket, keyOrPrefix) => {
+  const derivativePrefixes = [`${DERIVATIVES_PREFIX}thumbnails/`, `${DERIVATIVES_PREFIX}metadata/`];
+  const remove = async () => {
+    const keys = [];
+    if (keyOrPrefix.endsWith('/')) {
+      for (const derivativePrefix of derivativePrefixes) {
+        for await (const objects of listObjectPages(bucket, `${derivativePrefix}${keyOrPrefix}`)) {
+          keys.push(...objects.map((object) => object.Key));
+        }
+      }
+    } else {
+      if (thumbnailSourceKind(keyOrPrefix, ALLOWED_VIDEO_EXTENSIONS)) {
+        keys.push(thumbnailKeyFor(DERIVATIVES_PREFIX, keyOrPrefix));
+      }
+      if (mediaKindOf(keyOrPrefix)) {
+        keys.push(metadataKeyFor(DERIVATIVES_PREFIX, keyOrPrefix));
+      }
+    }
+    if (keys.length === 0) {
+      return;
+    }
+
+    await deleteKeys(bucket, keys, { derivativesFor: keyOrPrefix });
+    derivativePrefixes.forEach((derivativePrefix) => searchCache.invalidate(bucket.id, `${derivativePrefix}${keyOrPrefix}`));
+    updateObjectIndex(bucket, (index) => keys.forEach((key) => index.remove(bucket.id, key)));
+  };
+
+  remove().catch((error) => logger.warn('Failed to remove derivatives', {
+    bucket: bucket.id,
+    key: keyOrPrefix,
+    error: serializeError(error)
+  }));
+};
+
+const deletePrefixRecursively = async (bucket, prefix, { onProgress } = {}) => {
+  const summary = { deleted: 0, failed: [] };
+
+  for await (const objects of listObjectPages(bucket, prefix)) {
+    const keys = objects.map((object) => object.Key).filter(Boolean);
+    if (keys.length === 0) {
+      continue;
+    }
+
+    const errors = await deleteKeys(bucket, keys, { prefix });
+    summary.deleted += keys.length - errors.length;
+    summary.failed.push(...errors);
+
+    if (typeof onProgress === 'function') {
+      onProgress({ deleted: summary.deleted, failed: summary.failed.length, errors });
+    }
+  }
+
+  return summary;
+};
+
+app.delete('/api/object', requireRole('admin', { scope: 'objects:delete' }), asyncHandler(async (req, res) => {
+  const key = typeof req.query.key === 'string' ? req.query.key : req.body?.key;
+  if (!key || typeof key !== 'string') {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  if (isInvalidKey(key)) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
+  const command = new DeleteObjectCommand({
+    Bucket: req.bucket.name,
+    Key: key
+  });
+
+  await sendS3Command(req.bucket, command, { key });
+  searchCache.invalidate(req.bucket.id, key);
+  updateObjectIndex(req.bucket, (index) => index.remove(req.bucket.id, key));
+  removeDerivatives(req.bucket, key);
+  publishEvent(req, 'object.deleted', { key });
+  res.json({ key, deleted: true });
+}));
+
+// Streams newline-delimited JSON so the UI can show progress while large
+// prefixes are removed batch by batch. Failed keys are reported per batch and
+// in the final summary instead of aborting the whole operation.
+app.delete('/api/prefix', requireRole('admin', { scope: 'objects:delete' }), asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : req.body?.prefix;
+  if (!prefix || typeof prefix !== 'string') {
+    return res.status(400).json({ error: 'prefix is required' });
+  }
+
+  if (isInvalidKey(prefix)) {
+    return res.status(400).json({ error: 'Invalid prefix' });
+  }
+
+  const normalizedPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+
+  if (!ensureAccess(req, res, normalizedPrefix, 'write', { recursive: true })) {
+    return;
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  const writeLine = (payload) => {
+    res.write(`${JSON.stringify(payload)}\n`);
+  };
+
+  writeLine({ type: 'start', prefix: normalizedPrefix });
+  searchCache.invalidate(req.bucket.id, normalizedPrefix);
+
+  try {
+    const summary = await deletePrefixRecursively(req.bucket, normalizedPrefix, {
+      onProgress: ({ deleted, failed, errors }) => {
+        writeLine({ type: 'progress', deleted, failed, errors });
+      }
+    });
+
+    updateObjectIndex(req.bucket, (index) => index.removePrefix(req.bucket.id, normalizedPrefix, {
+      except: summary.failed.map((failure) => failure.key)
+    }));
+    removeDerivatives(req.bucket, normalizedPrefix);
+    publishEvent(req, 'folder.deleted', {
+      prefix: normalizedPrefix,
+      deleted: summary.deleted,
+      failed: summary.failed.length
+    });
+
+    if (summary.failed.length > 0) {
+      logger.warn('Prefix deletion completed with failures', {
+        prefix: normalizedPrefix,
+        deleted: summary.deleted,
+        failed: summary.failed.length
+      });
+    }
+
+    writeLine({
+      type: 'done',
+      prefix: normalizedPrefix,
+      deleted: summary.deleted,
+      failed: summary.failed
+    });
+  } catch (error) {
+    logger.error('Prefix deletion aborted', {
+      prefix: normalizedPrefix,
+      error: serializeError(error)
+    });
+    writeLine({ type: 'error', prefix: normalizedPrefix, error: 'Failed to delete prefix' });
+  } finally {
+    // Listings cached while the deletion ran may still hold deleted keys.
+    searchCache.invalidate(req.bucket.id, normalizedPrefix);
+  }
+
+  res.end();
+}));
+
+// S3 rejects single-request copies above 5 GiB, so larger objects are copied
+// range by range with UploadPartCopy into a new multipart upload.
+const MAX_SINGLE_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+const COPY_PART_SIZE_BYTES = 512 * 1024 * 1024;
+const COPY_PART_CONCURRENCY = 4;
+const COPY_OBJECT_CONCURRENCY = 4;
+
+const mapWithConcurrency = async (items, concurrency, iterator) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }).map(async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await iterator(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+};
+
+const encodeCopySource = (bucket, key) => `${bucket.name}/${key
+  .split('/')
+  .map((segment) => encodeURIComponent(segment))
+  .join('/')}`;
+
+const headObjectIfExists = async (bucket, key) => {
+  try {
+    return await sendS3Command(bucket, new HeadObjectCommand({
+      Bucket: bucket.name,
+      Key: key
+    }), { key }, { expectedStatusCodes: [404] });
+  } catch (error) {
+    if (error?.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const copyObjectMultipart = async ({ bucket, sourceKey, destinationKey, sourceHead }) => {
+  const size = sourceHead.ContentLength || 0;
+  const ranges = planCopyParts(size, { partSize: COPY_PART_SIZE_BYTES, maxPartCount: bucket.profile.maxPartCount });
+  const createResponse = await sendS3Command(bucket, new CreateMultipartUploadCommand({
+    Bucket: bucket.name,
+    Key: destinationKey,
+    ContentType: sourceHead.ContentType,
+    ContentDisposition: sourceHead.ContentDisposition,
+    ContentEncoding: sourceHead.ContentEncoding,
+    CacheControl: sourceHead.CacheControl,
+    Metadata: sourceHead.Metadata
+  }), { key: destinationKey, sourceKey });
+
+  const uploadId = createResponse?.UploadId;
+  if (!uploadId) {
+    throw new Error('Failed to create multipart copy: missing UploadId');
+  }
+
+  try {
+    const parts = await mapWithConcurrency(ranges, COPY_PART_CONCURRENCY, async ({ partNumber, start, end }) => {
+      const response = await sendS3Command(bucket, new UploadPartCopyCommand({
+        Bucket: bucket.name,
+        Key: destinationKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        CopySource: encodeCopySource(bucket, sourceKey),
+        CopySourceRange: `bytes=${start}-${end}`
+      }), { key: destinationKey, sourceKey, uploadId, partNumber });
+
+      return { PartNumber: partNumber, ETag: response.CopyPartResult?.ETag };
+    });
+
+    const completeResponse = await sendS3Command(bucket, new CompleteMultipartUploadCommand({
+      Bucket: bucket.name,
+      Key: destinationKey,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts }
+    }), { key: destinationKey, uploadId, partsCount: parts.length });
+
+    return { etag: completeResponse.ETag || null, multipart: true };
+  } catch (error) {
+    try {
+      await sendS3Command(bucket, new AbortMultipartUploadCommand({
+        Bucket: bucket.name,
+        Key: destinationKey,
+        UploadId: uploadId
+      }), { key: destinationKey, uploadId });
+    } catch (abortError) {
+      logger.warn('Failed to abort multipart copy after error', {
+        key: destinationKey,
+        uploadId,
+        error: serializeError(abortError)
+      });
+    }
+    throw error;
+  }
+};
+
+const copySingleObject = async ({ bucket, sourceKey, destinationKey, size, overwrite }) => {
+  if (!overwrite) {
+    const existing = await headObjectIfExists(bucket, destinationKey);
+    if (existing) {
+      const error = new Error('Destination object already exists');
+      error.code = 'DestinationExists';
+      throw error;
+    }
+  }
+
+  const knownSize = Number.isFinite(size) ? size : null;
+  if (knownSize === null || knownSize > MAX_SINGLE_COPY_BYTES) {
+    const sourceHead = await sendS3Command(bucket, new HeadObjectCommand({
+      Bucket: bucket.name,
+      Key: sourceKey
+    }), { key: sourceKey });
+
+    if ((sourceHead.ContentLength || 0) > MAX_SINGLE_COPY_BYTES) {
+      return copyObjectMultipart({ bucket, sourceKey, destinationKey, sourceHead });
+    }
+  }
+
+  const response = await sendS3Command(bucket, new CopyObjectCommand({
+    Bucket: bucket.name,
+    Key: destinationKey,
+    CopySource: encodeCopySource(bucket, sourceKey),
+    MetadataDirective: 'COPY'
+  }), { key: destinationKey, sourceKey });
+
+  return { etag: response.CopyObjectResult?.ETag || null, multipart: false };
+};
+
+const buildTransferItems = async (bucket, source, destination) => {
+  if (!source.endsWith('/')) {
+    return [{ sourceKey: source, destinationKey: transferDestinationKey(source, destination) }];
+  }
+
+  const items = [];
+  for await (const objects of listObjectPages(bucket, source)) {
+    for (const object of objects) {
+      items.push({
+        sourceKey: object.Key,
+        destinationKey: transferDestinationKey(source, destination, object.Key),
+        size: object.Size
+      });
+    }
+  }
+
+  return items;
+};
+
+// Shared by /api/copy and /api/move. Sources are only removed after their copy
+// succeeded, and every key gets its own result entry so partial failures are
+// visible to the caller.
+const transferObjects = async (req, res, { removeSource }) => {
+  const { source, destination, overwrite } = req.body || {};
+  if (!source || typeof source !== 'string' || !destination || typeof destination !== 'string') {
+    return res.status(400).json({ error: 'source and destination are required' });
+  }
+
+  for (const value of [source, destination]) {
+    if (isInvalidKey(value)) {
+      return res.status(400).json({ error: 'Invalid source or destination' });
+    }
+  }
+
+  const { destination: normalizedDestination, error: transferError } = normalizeTransfer(source, destination);
+  if (transferError) {
+    return res.status(400).json({ error: transferError });
+  }
+
+  const sourceAccess = removeSource ? 'write' : 'read';
+  const recursive = source.endsWith('/');
+  if (!ensureAccess(req, res, source, sourceAccess, { recursive })
+    || !ensureAccess(req, res, normalizedDestination, 'write', { recursive })) {
+    return;
+  }
+
+  const items = await buildTransferItems(req.bucket, source, normalizedDestination);
+  if (items.length === 0) {
+    return res.status(404).json({ error: 'No objects found under source prefix' });
+  }
+
+  const allowOverwrite = parseBoolean(overwrite, false);
+  // Listings cached while the transfer runs would miss some of its changes, so
+  // they are dropped again once it has finished.
+  const invalidateListings = () => {
+    searchCache.invalidate(req.bucket.id, normalizedDestination);
+    if (removeSource) {
+      searchCache.invalidate(req.bucket.id, source);
+    }
+  };
+  invalidateListings();
+  const results = await mapWithConcurrency(items, COPY_OBJECT_CONCURRENCY, async (item) => {
+    try {
+      const { etag, multipart } = await copySingleObject({ ...item, bucket: req.bucket, overwrite: allowOverwrite });
+      return { source: item.sourceKey, destination: item.destinationKey, status: 'copied', etag, multipart };
+    } catch (error) {
+      logger.warn('Failed to copy object', {
+        sourceKey: item.sourceKey,
+        destinationKey: item.destinationKey,
+        error: serializeError(error)
+      });
+      return {
+        source: item.sourceKey,
+        destination: item.destinationKey,
+        status: 'failed',
+        error: error?.code || error?.name || 'CopyFailed',
+        message: error?.code === 'DestinationExists' ? error.message : 'Failed to copy object'
+      };
+    }
+  });
+
+  if (removeSource) {
+    const copied = results.filter((result) => result.status === 'copied');
+    let deleteErrors;
+    try {
+      deleteErrors = await deleteKeys(req.bucket, copied.map((result) => result.source), { source });
+    } catch (error) {
+      logger.error('Failed to delete move sources', { source, error: serializeError(error) });
+      deleteErrors = copied.map((result) => ({ key: result.source, code: error?.name || null, message: null }));
+    }
+
+    const failedDeletes = new Set(deleteErrors.map((error) => error.key));
+    for (const result of copied) {
+      if (failedDeletes.has(result.source)) {
+        result.error = 'SourceDeleteFailed';
+        result.message = 'Object was copied but the source could not be deleted';
+      } else {
+        result.status = 'moved';
+      }
+    }
+  }
+
+  invalidateListings();
+  updateObjectIndex(req.bucket, (index) => {
+    for (const result of results) {
+      if (result.status === 'copied' || result.status === 'moved') {
+        index.copy(req.bucket.id, result.source, result.destination, { etag: result.etag });
+      }
+      if (result.status === 'moved') {
+        index.remove(req.bucket.id, result.source);
+      }
+    }
+  });
+
+  const expectedStatus = removeSource ? 'moved' : 'copied';
+  const succeeded = results.filter((result) => result.status === expectedStatus).length;
+  if (!removeSource) {
+    results
+      .filter((result) => result.status === 'copied')
+      .forEach((result) => publishEvent(req, 'object.copied', {
+        key: result.destination,
+        sourceKey: result.source,
+        etag: result.etag
+      }));
+  }
+  if (removeSource && succeeded > 0) {
+    removeDerivatives(req.bucket, source);
+    if (source.endsWith('/')) {
+      publishEvent(req, 'folder.moved', {
+        prefix: normalizedDestination,
+        sourcePrefix: source,
+        moved: succeeded,
+        failed: results.length - succeeded
+      });
+    } else {
+      publishEvent(req, 'object.moved', { key: results[0].destination, sourceKey: source, etag: results[0].etag });
+    }
+  }
+
+  logger.info(removeSource ? 'Move completed' : 'Copy completed', {
+    source,
+    destination: normalizedDestination,
+    total: results.length,
+    succeeded
+  });
+
+  res.json({
+    source,
+    destination: normalizedDestination,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
   });
+};
 
-  await sendS3Command(command, { key: sanitized });
-  res.status(201).json({ key: sanitized });
+app.post('/api/copy', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
+  await transferObjects(req, res, { removeSource: false });
+}));
+
+app.post('/api/move', requireRole('admin', { scope: 'objects:delete' }), asyncHandler(async (req, res) => {
+  await transferObjects(req, res, { removeSource: true });
 }));
 
-app.post('/api/create-multipart', asyncHandler(async (req, res) => {
-  const { key, contentType, metadata } = req.body || {};
+app.post('/api/create-multipart', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
+  const { key, contentType, metadata, size } = req.body || {};
   if (!key || typeof key !== 'string') {
     return res.status(400).json({ error: 'key is required' });
   }
 
-  if (key.startsWith('/') || containsTraversal(key)) {
+  if (isInvalidKey(key)) {
     return res.status(400).json({ error: 'Invalid key' });
   }
 
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
   const objectKey = key;
 
   const isMetadataObject = metadata && typeof metadata === 'object' && !Array.isArray(metadata);
@@ -1703,7 +3833,7 @@ app.post('/api/create-multipart', asyncHandler(async (req, res) => {
   }
 
   const multipartParams = {
-    Bucket: S3_BUCKET,
+    Bucket: req.bucket.name,
     Key: objectKey,
     ContentType: contentType
   };
@@ -1716,32 +3846,46 @@ app.post('/api/create-multipart', asyncHandler(async (req, res) => {
 
   const command = new CreateMultipartUploadCommand(multipartParams);
 
-  const response = await sendS3Command(command, { key: objectKey, contentType });
+  const response = await sendS3Command(req.bucket, command, { key: objectKey, contentType });
   if (!response?.UploadId) {
     throw new Error('Failed to create multipart upload: missing UploadId');
   }
 
-  res.status(201).json({ uploadId: response.UploadId, key: objectKey, bucket: S3_BUCKET });
+  // `size` is optional and only used to show the upload's progress to others.
+  publishEvent(req, 'upload.started', {
+    key: objectKey,
+    uploadId: response.UploadId,
+    size: Number.isSafeInteger(size) && size >= 0 ? size : null,
+    contentType: contentType || null
+  });
+  res.status(201).json({ uploadId: response.UploadId, key: objectKey, bucket: req.bucket.id });
 }));
 
-app.post('/api/sign-part', asyncHandler(async (req, res) => {
+app.post('/api/sign-part', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
   const { key, uploadId, partNumber } = req.body || {};
 
   if (!key || !uploadId || partNumber === undefined || partNumber === null) {
     return res.status(400).json({ error: 'key, uploadId and partNumber are required' });
   }
 
-  if (key.startsWith('/') || containsTraversal(key)) {
+  if (isInvalidKey(key)) {
     return res.status(400).json({ error: 'Invalid key' });
   }
 
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
   const partNum = Number(partNumber);
   if (!Number.isInteger(partNum) || partNum <= 0) {
     return res.status(400).json({ error: 'partNumber must be a positive integer' });
   }
+  if (partNum > req.bucket.profile.maxPartCount) {
+    return res.status(400).json({ error: `partNumber may not exceed ${req.bucket.profile.maxPartCount}` });
+  }
 
   const command = new UploadPartCommand({
-    Bucket: S3_BUCKET,
+    Bucket: req.bucket.name,
     Key: key,
     UploadId: uploadId,
     PartNumber: partNum
@@ -1752,7 +3896,7 @@ app.post('/api/sign-part', asyncHandler(async (req, res) => {
     uploadId,
     partNumber: partNum
   });
-  const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+  const url = await getSignedUrl(req.bucket.client, command, { expiresIn: 3600 });
   logger.info('Generated signed URL for multipart upload part', {
     key,
     uploadId,
@@ -1764,17 +3908,21 @@ app.post('/api/sign-part', asyncHandler(async (req, res) => {
   res.json({ url });
 }));
 
-app.post('/api/complete-multipart', asyncHandler(async (req, res) => {
+app.post('/api/complete-multipart', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
   const { key, uploadId, parts } = req.body || {};
 
   if (!key || !uploadId || !Array.isArray(parts)) {
     return res.status(400).json({ error: 'key, uploadId and parts array are required' });
   }
 
-  if (key.startsWith('/') || containsTraversal(key)) {
+  if (isInvalidKey(key)) {
     return res.status(400).json({ error: 'Invalid key' });
   }
 
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
   const parsedParts = parts
     .map((part) => {
       const partNumber = Number(part?.PartNumber ?? part?.partNumber ?? part);
@@ -1809,14 +3957,14 @@ app.post('/api/complete-multipart', asyncHandler(async (req, res) => {
 
     while (remaining.size > 0) {
       const listPartsCommand = new ListPartsCommand({
-        Bucket: S3_BUCKET,
+        Bucket: req.bucket.name,
         Key: key,
         UploadId: uploadId,
         PartNumberMarker: partNumberMarker,
         MaxParts: 1000
       });
 
-      const listResponse = await sendS3Command(listPartsCommand, {
+      const listResponse = await sendS3Command(req.bucket, listPartsCommand, {
         key,
         uploadId,
         partNumberMarker
@@ -1861,7 +4009,7 @@ app.post('/api/complete-multipart', asyncHandler(async (req, res) => {
   }
 
   const command = new CompleteMultipartUploadCommand({
-    Bucket: S3_BUCKET,
+    Bucket: req.bucket.name,
     Key: key,
     UploadId: uploadId,
     MultipartUpload: {
@@ -1869,47 +4017,669 @@ app.post('/api/complete-multipart', asyncHandler(async (req, res) => {
     }
   });
 
-  const response = await sendS3Command(command, {
+  const response = await sendS3Command(req.bucket, command, {
     key,
     uploadId,
     partsCount: normalizedParts.length
   });
-  const publicUrl = buildPublicObjectUrl(response.Location, response.Bucket || S3_BUCKET, response.Key || key);
-  triggerUploadWebhook({ url: publicUrl, key });
+  searchCache.invalidate(req.bucket.id, key);
+  queueDerivatives(req.bucket, key);
+  const { bucket } = req;
+  const publicUrl = buildPublicObjectUrl(response.Location, bucket, response.Key || key);
+  // The completion response carries no size or content type, so the new object is read back.
+  headObjectIfExists(bucket, key)
+    .then((head) => {
+      if (!head) {
+        return;
+      }
+      updateObjectIndex(bucket, (index) => index.upsert(bucket.id, {
+        key,
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        etag: head.ETag
+      }));
+      publishEvent(req, 'object.created', {
+        key,
+        size: head.ContentLength ?? null,
+        etag: head.ETag || null,
+        contentType: head.ContentType || null,
+        metadata: head.Metadata || {},
+        url: publicUrl,
+        fileName: path.posix.basename(key)
+      });
+    })
+    .catch((error) => logger.warn('Failed to read back uploaded object', { key, error: serializeError(error) }));
   res.json({
     location: response.Location || null,
-    bucket: response.Bucket || S3_BUCKET,
+    bucket: req.bucket.id,
     key: response.Key || key,
     etag: response.ETag || null
   });
 }));
 
-app.post('/api/abort-multipart', asyncHandler(async (req, res) => {
+app.post('/api/abort-multipart', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
   const { key, uploadId } = req.body || {};
 
   if (!key || !uploadId) {
     return res.status(400).json({ error: 'key and uploadId are required' });
   }
 
-  if (key.startsWith('/') || containsTraversal(key)) {
+  if (isInvalidKey(key)) {
     return res.status(400).json({ error: 'Invalid key' });
   }
 
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
   const command = new AbortMultipartUploadCommand({
-    Bucket: S3_BUCKET,
+    Bucket: req.bucket.name,
     Key: key,
     UploadId: uploadId
   });
 
-  await sendS3Command(command, { key, uploadId });
+  await sendS3Command(req.bucket, command, { key, uploadId });
+  publishEvent(req, 'upload.aborted', { key, uploadId });
+  res.json({ ok: true });
+}));
+
+// Browsers report how far their uploads are so that others viewing the folder
+// can follow them. Reports are only passed on to live event streams.
+app.post('/api/upload-progress', requireRole('uploader', { scope: 'objects:write' }), (req, res) => {
+  const { key, uploadId, uploadedBytes, size = null } = req.body || {};
+  if (!key || typeof key !== 'string' || !uploadId || typeof uploadId !== 'string') {
+    return res.status(400).json({ error: 'key and uploadId are required' });
+  }
+
+  if (isInvalidKey(key)) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  const isByteCount = (value) => Number.isSafeInteger(value) && value >= 0;
+  if (!isByteCount(uploadedBytes) || (size !== null && !isByteCount(size))) {
+    return res.status(400).json({ error: 'uploadedBytes and size must be non-negative integers' });
+  }
+
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
+  publishEvent(req, 'upload.progress', { key, uploadId, uploadedBytes, size });
   res.json({ ok: true });
+});
+
+const listUploadedParts = async ({ bucket, key, uploadId }) => {
+  const parts = [];
+  let partNumberMarker = undefined;
+
+  while (true) {
+    const listResponse = await sendS3Command(bucket, new ListPartsCommand({
+      Bucket: bucket.name,
+      Key: key,
+      UploadId: uploadId,
+      PartNumberMarker: partNumberMarker,
+      MaxParts: 1000
+    }), { key, uploadId, partNumberMarker }, { expectedStatusCodes: [404] });
+
+    parts.push(...(listResponse.Parts || []));
+
+    partNumberMarker = listResponse.NextPartNumberMarker;
+    if (!listResponse.IsTruncated || partNumberMarker === undefined || partNumberMarker === null) {
+      break;
+    }
+  }
+
+  return parts;
+};
+
+// Lets the browser pick up an interrupted upload: the part list from S3 is the
+// source of truth for which parts still need to be sent.
+app.get('/api/multipart/:uploadId/parts', requireRole('uploader', { scope: 'objects:write' }), asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+
+  if (!key || !uploadId) {
+    return res.status(400).json({ error: 'key and uploadId are required' });
+  }
+
+  if (isInvalidKey(key)) {
+    return res.status(400).json({ error: 'Invalid key' });
+  }
+
+  if (!ensureAccess(req, res, key, 'write')) {
+    return;
+  }
+
+  let parts;
+  try {
+    parts = await listUploadedParts({ bucket: req.bucket, key, uploadId });
+  } catch (error) {
+    if (error?.$metadata?.httpStatusCode === 404) {
+      return res.status(404).json({ error: 'Multipart upload not found' });
+    }
+    throw error;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    key,
+    uploadId,
+    parts: parts
+      .map((part) => ({
+        partNumber: part.PartNumber,
+        etag: part.ETag || null,
+        size: part.Size ?? null,
+        lastModified: part.LastModified || null
+      }))
+      .sort((a, b) => a.partNumber - b.partNumber)
+  });
+}));
+
+async function* listMultipartUploadPages(bucket, prefix) {
+  let keyMarker = undefined;
+  let uploadIdMarker = undefined;
+
+  while (true) {
+    const listResponse = await sendS3Command(bucket, new ListMultipartUploadsCommand({
+      Bucket: bucket.name,
+      Prefix: prefix || undefined,
+      KeyMarker: keyMarker,
+      UploadIdMarker: uploadIdMarker,
+      MaxUploads: 1000
+    }), { prefix, keyMarker, uploadIdMarker });
+
+    yield listResponse.Uploads || [];
+
+    if (!listResponse.IsTruncated) {
+      break;
+    }
+
+    keyMarker = listResponse.NextKeyMarker;
+    uploadIdMarker = listResponse.NextUploadIdMarker;
+    if (!keyMarker && !uploadIdMarker) {
+      break;
+    }
+  }
+}
+
+const INCOMPLETE_UPLOAD_SIZE_CONCURRENCY = 4;
+
+app.get('/api/multipart/incomplete', requireRole('admin'), asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  if (isInvalidKey(prefix)) {
+    return res.status(400).json({ error: 'Invalid prefix' });
+  }
+
+  const includeSize = parseBoolean(req.query.includeSize, true);
+  const now = Date.now();
+  const uploads = [];
+
+  for await (const page of listMultipartUploadPages(req.bucket, prefix)) {
+    for (const upload of page) {
+      if (!canAccessKey(req.user, upload.Key, 'write', req.bucket.id)) {
+        continue;
+      }
+
+      const initiated = upload.Initiated ? new Date(upload.Initiated) : null;
+      uploads.push({
+        key: upload.Key,
+        uploadId: upload.UploadId,
+        initiated: initiated ? initiated.toISOString() : null,
+        ageMs: initiated ? Math.max(0, now - initiated.getTime()) : null,
+        initiator: upload.Initiator?.DisplayName || upload.Initiator?.ID || null,
+        storageClass: upload.StorageClass || null,
+        partsCount: null,
+        uploadedBytes: null
+      });
+    }
+  }
+
+  if (includeSize) {
+    await mapWithConcurrency(uploads, INCOMPLETE_UPLOAD_SIZE_CONCURRENCY, async (upload) => {
+      try {
+        const parts = await listUploadedParts({ bucket: req.bucket, key: upload.key, uploadId: upload.uploadId });
+        upload.partsCount = parts.length;
+        upload.uploadedBytes = parts.reduce((sum, part) => sum + (part.Size || 0), 0);
+      } catch (error) {
+        logger.warn('Failed to list parts for incomplete multipart upload', {
+          key: upload.key,
+          uploadId: upload.uploadId,
+          error: serializeError(error)
+        });
+      }
+    });
+  }
+
+  uploads.sort((a, b) => (b.ageMs ?? 0) - (a.ageMs ?? 0));
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    prefix,
+    count: uploads.length,
+    uploadedBytes: uploads.reduce((sum, upload) => sum + (upload.uploadedBytes || 0), 0),
+    janitorMaxAgeMs: MULTIPART_JANITOR_MAX_AGE_MS || null,
+    uploads
+  });
 }));
 
+const abortStaleMultipartUploads = async (bucket, maxAgeMs) => {
+  const cutoff = Date.now() - maxAgeMs;
+  let aborted = 0;
+
+  for await (const page of listMultipartUploadPages(bucket, '')) {
+    for (const upload of page) {
+      const initiatedAt = upload.Initiated ? new Date(upload.Initiated).getTime() : null;
+      if (initiatedAt === null || initiatedAt > cutoff) {
+        continue;
+      }
+
+      try {
+        await sendS3Command(bucket, new AbortMultipartUploadCommand({
+          Bucket: bucket.name,
+          Key: upload.Key,
+          UploadId: upload.UploadId
+        }), { key: upload.Key, uploadId: upload.UploadId, reason: 'janitor' });
+        aborted += 1;
+        eventBus.publish('upload.aborted', {
+          bucket: bucket.id,
+          actor: { username: null, tokenId: null },
+          data: { key: upload.Key, uploadId: upload.UploadId, reason: 'janitor' }
+        });
+      } catch (error) {
+        logger.warn('Janitor failed to abort stale multipart upload', {
+          bucket: bucket.id,
+          key: upload.Key,
+          uploadId: upload.UploadId,
+          error: serializeError(error)
+        });
+      }
+    }
+  }
+
+  return aborted;
+};
+
+const startMultipartJanitor = () => {
+  if (!MULTIPART_JANITOR_MAX_AGE_MS) {
+    return;
+  }
+
+  const runJanitor = () => {
+    for (const bucket of buckets.values()) {
+      abortStaleMultipartUploads(bucket, MULTIPART_JANITOR_MAX_AGE_MS)
+        .then((aborted) => {
+          logger.info('Multipart janitor run completed', {
+            bucket: bucket.id,
+            aborted,
+            maxAgeMs: MULTIPART_JANITOR_MAX_AGE_MS
+          });
+        })
+        .catch((error) => {
+          logger.warn('Multipart janitor run failed', { bucket: bucket.id, error: serializeError(error) });
+        });
+    }
+  };
+
+  runJanitor();
+  const janitorTimer = setInterval(runJanitor, MULTIPART_JANITOR_INTERVAL_MS);
+  if (typeof janitorTimer.unref === 'function') {
+    janitorTimer.unref();
+  }
+};
+
+// Deletes bucket outputs older than AUDIO_OUTPUT_EXPIRY_MS. A lifecycle rule on
+// the prefix does the same job without the server and can replace this sweep.
+const expireAudioOutputs = async (bucket) => {
+  const cutoff = Date.now() - AUDIO_OUTPUT_EXPIRY_MS;
+  const expired = [];
+  for await (const objects of listObjectPages(bucket, AUDIO_OUTPUT_PREFIX)) {
+    for (const object of objects) {
+      if (object.Key && object.LastModified && new Date(object.LastModified).getTime() < cutoff) {
+        expired.push(object.Key);
+      }
+    }
+  }
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const errors = await deleteKeys(bucket, expired, { expiredAudioOutputs: expired.length });
+  const failed = new Set(errors.map((error) => error.key));
+  const deleted = expired.filter((key) => !failed.has(key));
+  searchCache.invalidate(bucket.id, AUDIO_OUTPUT_PREFIX);
+  updateObjectIndex(bucket, (index) => deleted.forEach((key) => index.remove(bucket.id, key)));
+  if (errors.length > 0) {
+    logger.warn('Some expired audio outputs could not be deleted', { bucket: bucket.id, errors: errors.slice(0, 10) });
+  }
+  return deleted.length;
+};
+
+const startAudioOutputExpiry = () => {
+  if (!audioOutputBucket || !AUDIO_OUTPUT_EXPIRY_MS) {
+    return;
+  }
+
+  const runExpiry = () => {
+    expireAudioOutputs(audioOutputBucket)
+      .then((deleted) => {
+        logger.info('Audio output expiry run completed', {
+          bucket: audioOutputBucket.id,
+          prefix: AUDIO_OUTPUT_PREFIX,
+          deleted,
+          maxAgeMs: AUDIO_OUTPUT_EXPIRY_MS
+        });
+      })
+      .catch((error) => {
+        logger.warn('Audio output expiry run failed', { bucket: audioOutputBucket.id, error: serializeError(error) });
+      });
+  };
+
+  runExpiry();
+  const expiryTimer = setInterval(runExpiry, AUDIO_CLEANUP_INTERVAL_MS);
+  if (typeof expiryTimer.unref === 'function') {
+    expiryTimer.unref();
+  }
+};
+
+const startObjectIndexReconciler = () => {
+  if (!objectIndex) {
+    return;
+  }
+
+  const runReconciliation = async () => {
+    for (const bucket of buckets.values()) {
+      const startedAt = Date.now();
+      try {
+        const result = await objectIndex.reconcile(bucket.id, listObjectPages(bucket, ''));
+        if (result) {
+          logger.info('Object index reconciliation completed', {
+            bucket: bucket.id,
+            ...result,
+            durationMs: Date.now() - startedAt
+          });
+        }
+      } catch (error) {
+        logger.warn('Object index reconciliation failed', { bucket: bucket.id, error: serializeError(error) });
+      }
+    }
+  };
+
+  runReconciliation();
+  const reconcileTimer = setInterval(runReconciliation, OBJECT_INDEX_RECONCILE_INTERVAL_MS);
+  if (typeof reconcileTimer.unref === 'function') {
+    reconcileTimer.unref();
+  }
+};
+
+// Records a usage snapshot per bucket every USAGE_SNAPSHOT_INTERVAL_HOURS.
+// With the object index enabled, a bucket waits for its first index scan
+// instead of being listed twice.
+const startUsageSnapshots = () => {
+  let running = false;
+
+  const takeDueSnapshots = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      for (const bucket of buckets.values()) {
+        const latest = usageSnapshots.latest(bucket.id);
+        if (latest && Date.now() - Date.parse(latest.takenAt) < USAGE_SNAPSHOT_INTERVAL_MS) {
+          continue;
+        }
+        if (objectIndex && !objectIndex.status(bucket.id).ready) {
+          continue;
+        }
+
+        const startedAt = Date.now();
+        try {
+          const source = objectIndex ? 'index' : 's3';
+          const accumulator = createUsageAccumulator('', { snapshotDepth: USAGE_SNAPSHOT_DEPTH });
+          for await (const objects of subtreeObjectPages(bucket, '', { cached: false })) {
+            objects.filter((object) => !isDerivativeKey(object.key)).forEach(accumulator.add);
+          }
+
+          const prefixes = accumulator.snapshotTotals();
+          usageSnapshots.record(bucket.id, { source, prefixes });
+          logger.info('Usage snapshot recorded', {
+            bucket: bucket.id,
+            source,
+            ...prefixes[''],
+            durationMs: Date.now() - startedAt
+          });
+        } catch (error) {
+          logger.warn('Usage snapshot failed', { bucket: bucket.id, error: serializeError(error) });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  takeDueSnapshots();
+  const snapshotTimer = setInterval(takeDueSnapshots, USAGE_SNAPSHOT_CHECK_INTERVAL_MS);
+  if (typeof snapshotTimer.unref === 'function') {
+    snapshotTimer.unref();
+  }
+};
+
+app.get('/api/tokens', requireRole('admin'), (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    scopes: TOKEN_SCOPES,
+    tokens: tokenStore.list().filter((token) => canManageToken(req.user, token, Array.from(buckets.keys())))
+  });
+});
+
+app.post('/api/tokens', requireRole('admin'), (req, res) => {
+  const { name, scopes, prefix, bucket, expiresInDays } = req.body || {};
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => TOKEN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}` });
+  }
+
+  let normalizedPrefix = null;
+  if (prefix !== undefined && prefix !== null && prefix !== '') {
+    if (typeof prefix !== 'string' || isInvalidKey(prefix)) {
+      return res.status(400).json({ error: 'Invalid prefix' });
+    }
+    normalizedPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+  }
+
+  if (bucket !== undefined && bucket !== null && bucket !== '' && !buckets.has(bucket)) {
+    return res.status(400).json({ error: 'Unknown bucket' });
+  }
+
+  // A token reads and writes everywhere below its prefix, so an admin with a
+  // prefix policy can only hand out what the policy allows them.
+  if (!isUnrestricted(req.user) && (normalizedPrefix === null
+    || !scopes.every((scope) => withinCreatorPolicy(req.user, normalizedPrefix, scopeAccess(scope), bucket || null)))) {
+    return rejectByPolicy(req, res, normalizedPrefix, 'write');
+  }
+
+  const days = expiresInDays === undefined || expiresInDays === null ? DEFAULT_TOKEN_EXPIRY_DAYS : Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_EXPIRY_DAYS) {
+    return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_TOKEN_EXPIRY_DAYS}` });
+  }
+
+  const { token, record } = tokenStore.create({
+    name: name.trim(),
+    scopes: Array.from(new Set(scopes)),
+    prefix: normalizedPrefix,
+    bucket: bucket || null,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+    createdBy: req.user.username
+  });
+
+  logger.info('API token created', {
+    tokenId: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    prefix: record.prefix,
+    bucket: record.bucket,
+    expiresAt: record.expiresAt,
+    user: req.user.username
+  });
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(201).json({ token, ...record });
+});
+
+app.delete('/api/tokens/:id', requireRole('admin'), (req, res) => {
+  const existing = tokenStore.get(req.params.id);
+  if (!existing || !canManageToken(req.user, existing, Array.from(buckets.keys()))) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  const record = tokenStore.revoke(existing.id);
+
+  logger.info('API token revoked', { tokenId: record.id, name: record.name, user: req.user.username });
+  res.json(record);
+});
+
+const canManageWebhook = (req, subscription) => canManageSubscription(req.user, subscription, Array.from(buckets.keys()));
+
+// Deliveries follow their subscription. Those of removed subscriptions are
+// only shown to admins without a prefix policy.
+const canSeeDelivery = (req, delivery) => {
+  const subscription = webhookStore.get(delivery.subscriptionId);
+  return canSeeEvent(req, delivery.event)
+    && (subscription ? canManageWebhook(req, subscription) : isUnrestricted(req.user));
+};
+
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    events: WEBHOOK_EVENT_TYPES,
+    subscriptions: webhookStore.list().filter((subscription) => canManageWebhook(req, subscription))
+  });
+});
+
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+  const { url, events, prefixes, bucket, description } = req.body || {};
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(typeof url === 'string' ? url.trim() : '');
+  } catch {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({ error: 'url must be an HTTP or HTTPS URL' });
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENT_TYPES.includes(event))) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENT_TYPES.join(', ')}` });
+  }
+
+  const prefixList = prefixes === undefined || prefixes === null ? [] : prefixes;
+  if (!Array.isArray(prefixList)
+    || !prefixList.every((prefix) => typeof prefix === 'string' && prefix.trim() && !prefix.startsWith('/') && !containsTraversal(prefix))) {
+    return res.status(400).json({ error: 'prefixes must be a list of key prefixes' });
+  }
+
+  if (bucket !== undefined && bucket !== null && bucket !== '' && !buckets.has(bucket)) {
+    return res.status(400).json({ error: 'Unknown bucket' });
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return res.status(400).json({ error: 'description must be at most 200 characters' });
+  }
+
+  const normalizedPrefixes = Array.from(new Set(prefixList.map((prefix) => prefix.trim())));
+  if (!isUnrestricted(req.user)
+    && (normalizedPrefixes.length === 0
+      || !normalizedPrefixes.every((prefix) => withinCreatorPolicy(req.user, prefix, 'read', bucket || null)))) {
+    return rejectByPolicy(req, res, normalizedPrefixes.join(', '), 'read');
+  }
+
+  const { secret, record } = webhookStore.create({
+    url: parsedUrl.toString(),
+    events: Array.from(new Set(events)),
+    prefixes: normalizedPrefixes,
+    bucket: bucket || null,
+    description: description?.trim() || null,
+    createdBy: req.user.username
+  });
+
+  logger.info('Webhook subscription created', {
+    subscriptionId: record.id,
+    url: record.url,
+    events: record.events,
+    prefixes: record.prefixes,
+    bucket: record.bucket,
+    user: req.user.username
+  });
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(201).json({ secret, ...record });
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+  const existing = webhookStore.get(req.params.id);
+  if (!existing || !canManageWebhook(req, existing)) {
+    return res.status(404).json({ error: 'Webhook subscription not found' });
+  }
+  if (existing.source === 'env') {
+    return res.status(409).json({ error: 'Subscriptions configured in the environment cannot be removed here' });
+  }
+
+  const record = webhookStore.remove(existing.id);
+  logger.info('Webhook subscription removed', { subscriptionId: record.id, url: record.url, user: req.user.username });
+  res.json(record);
+});
+
+// Recent deliveries are kept in memory; permanently failed ones are also read
+// from the dead-letter log so they survive restarts. Admins with a prefix
+// policy only see deliveries of subscriptions and events they could manage
+// and stream themselves.
+app.get('/api/webhooks/deliveries', requireRole('admin'), (req, res) => {
+  const status = typeof req.query.status === 'string' && req.query.status ? req.query.status : null;
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    deliveries: webhookDispatcher.recent()
+      .filter((delivery) => (!status || delivery.status === status) && canSeeDelivery(req, delivery))
+      .slice(0, 200)
+      .map(toPublicDelivery),
+    deadLetters: webhookDispatcher.deadLetters()
+      .filter((delivery) => canSeeDelivery(req, delivery))
+      .map(toPublicDelivery)
+  });
+});
+
+app.post('/api/webhooks/deliveries/:id/replay', requireRole('admin'), (req, res) => {
+  const original = webhookDispatcher.find(req.params.id);
+  if (!original || !canSeeDelivery(req, original)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  const subscription = webhookStore.get(original.subscriptionId);
+  if (!subscription) {
+    return res.status(409).json({ error: 'The subscription of this delivery no longer exists' });
+  }
+
+  const delivery = webhookDispatcher.deliver(subscription, original.event, { replayOf: original.id });
+  logger.info('Webhook delivery replayed', {
+    deliveryId: delivery.id,
+    replayOf: original.id,
+    subscriptionId: subscription.id,
+    eventId: original.event.id,
+    user: req.user.username
+  });
+  res.status(202).json(toPublicDelivery(delivery));
+});
+
 app.use((err, req, res, next) => {
   logger.error('Unhandled error encountered', {
     method: req.method,
     url: req.originalUrl,
-    user: req.auth?.user,
+    user: req.user?.username,
+    tokenId: req.token?.id,
     error: serializeError(err)
   });
   const status = err.$metadata?.httpStatusCode || err.statusCode || 500;
@@ -1919,12 +4689,25 @@ app.use((err, req, res, next) => {
 if (process.env.NODE_ENV !== 'test') {
   app.listen(Number(PORT), () => {
     logger.info('Server running', { port: Number(PORT) });
-    ensureBucketCors()
-      .then(() => logger.info('S3 bucket CORS configuration applied', { bucket: S3_BUCKET }))
-      .catch((err) => logger.warn('Failed to apply S3 bucket CORS configuration', {
-        bucket: S3_BUCKET,
-        error: serializeError(err)
-      }));
+    startMultipartJanitor();
+    startAudioOutputExpiry();
+    startObjectIndexReconciler();
+    startUsageSnapshots();
+    for (const bucket of buckets.values()) {
+      if (!bucket.profile.supportsCorsApi) {
+        logger.info('Skipping S3 bucket CORS configuration; configure CORS with the provider instead', {
+          bucket: bucket.id,
+          provider: bucket.profile.name
+        });
+        continue;
+      }
+      ensureBucketCors(bucket)
+        .then(() => logger.info('S3 bucket CORS configuration applied', { bucket: bucket.id }))
+        .catch((err) => logger.warn('Failed to apply S3 bucket CORS configuration', {
+          bucket: bucket.id,
+          error: serializeError(err)
+        }));
+    }
   });
 }
 
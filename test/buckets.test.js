@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBucketConfigs } from '../s3/buckets.js';
+
+const env = (fields) => ({
+  S3_ENDPOINT: 'https://fsn1.your-objectstorage.com',
+  S3_REGION: 'fsn1',
+  S3_ACCESS_KEY_ID: 'id',
+  S3_SECRET_ACCESS_KEY: 'secret',
+  ...fields
+});
+
+test('S3_BUCKETS shares the S3_* connection settings', () => {
+  const { buckets, errors } = loadBucketConfigs({ env: env({ S3_BUCKETS: 'media, archive,', S3_BUCKET: 'ignored' }) });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(buckets.map(({ id, name, region, forcePathStyle }) => ({ id, name, region, forcePathStyle })), [
+    { id: 'media', name: 'media', region: 'fsn1', forcePathStyle: false },
+    { id: 'archive', name: 'archive', region: 'fsn1', forcePathStyle: false }
+  ]);
+  assert.equal(buckets[0].profile.name, 'hetzner');
+});
+
+test('the legacy single bucket variable still works', () => {
+  const { buckets } = loadBucketConfigs({ env: env({ S3_BUCKET_NAME: 'uploads' }) });
+  assert.deepEqual(buckets.map(({ id }) => id), ['uploads']);
+});
+
+test('buckets files override the defaults per entry', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buckets-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const bucketsFile = path.join(directory, 'buckets.json');
+  fs.writeFileSync(bucketsFile, JSON.stringify({
+    buckets: [
+      { id: 'main', bucket: 'prod-media', label: 'Media' },
+      { bucket: 'local', endpoint: 'http://minio:9000', provider: 'minio', region: 'us-east-1' }
+    ]
+  }));
+
+  const { buckets, errors } = loadBucketConfigs({ env: env({}), bucketsFile });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(buckets.map(({ id, name, label, endpoint, forcePathStyle }) => ({ id, name, label, endpoint, forcePathStyle })), [
+    { id: 'main', name: 'prod-media', label: 'Media', endpoint: 'https://fsn1.your-objectstorage.com', forcePathStyle: false },
+    { id: 'local', name: 'local', label: 'local', endpoint: 'http://minio:9000', forcePathStyle: true }
+  ]);
+});
+
+test('incomplete, duplicate and unknown-provider entries are reported', () => {
+  const { buckets, errors } = loadBucketConfigs({
+    env: env({ S3_BUCKETS: 'media,media,bad id' }),
+    bucketsFile: undefined
+  });
+  assert.deepEqual(buckets.map(({ id }) => id), ['media']);
+  assert.equal(errors.length, 2);
+
+  assert.match(loadBucketConfigs({ env: { S3_BUCKETS: 'media' } }).errors[0], /missing: endpoint, region, accessKeyId, secretAccessKey/);
+  assert.match(loadBucketConfigs({ env: env({ S3_BUCKETS: 'media', S3_PROVIDER: 'wasabi' }) }).errors[0], /unknown provider "wasabi"/);
+});
+
+test('an invalid FORCE_PATH_STYLE keeps the provider profile style', () => {
+  const minio = loadBucketConfigs({ env: env({ S3_BUCKETS: 'media', S3_PROVIDER: 'minio', FORCE_PATH_STYLE: 'sometimes' }) });
+  assert.deepEqual(minio.errors, []);
+  assert.equal(minio.buckets[0].forcePathStyle, true);
+
+  const hetzner = loadBucketConfigs({ env: env({ S3_BUCKETS: 'media', FORCE_PATH_STYLE: 'sometimes' }) });
+  assert.equal(hetzner.buckets[0].forcePathStyle, false);
+
+  const overridden = loadBucketConfigs({ env: env({ S3_BUCKETS: 'media', S3_PROVIDER: 'minio', FORCE_PATH_STYLE: 'false' }) });
+  assert.equal(overridden.buckets[0].forcePathStyle, false);
+});
+
+test('invalid per-bucket forcePathStyle values are rejected', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buckets-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const bucketsFile = path.join(directory, 'buckets.json');
+  fs.writeFileSync(bucketsFile, JSON.stringify([{ bucket: 'media', forcePathStyle: 'sometimes' }, { bucket: 'archive', forcePathStyle: true }]));
+
+  const { buckets, errors } = loadBucketConfigs({ env: env({}), bucketsFile });
+  assert.deepEqual(buckets.map(({ id, forcePathStyle }) => ({ id, forcePathStyle })), [{ id: 'archive', forcePathStyle: true }]);
+  assert.deepEqual(errors, ['Bucket "media" has an invalid forcePathStyle value "sometimes"']);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { eventPaths, pathMatchesPrefix } from '../events/bus.js';
+
+test('event paths cover keys, prefixes and their sources', () => {
+  assert.deepEqual(eventPaths({ data: { key: 'c/b.bin', sourceKey: 'a/b.bin' } }), ['c/b.bin', 'a/b.bin']);
+  assert.deepEqual(eventPaths({ data: { prefix: 'c/', sourcePrefix: 'a/' } }), ['c/', 'a/']);
+  assert.deepEqual(eventPaths({ data: { source: { key: 'in.mp4' }, keys: ['out/1.mp3', 'out/2.mp3'] } }), ['in.mp4', 'out/1.mp3', 'out/2.mp3']);
+});
+
+test('event paths skip missing and empty values', () => {
+  assert.deepEqual(eventPaths({ data: { key: '', source: { url: 'https://example.com/a.mp4' } } }), []);
+  assert.deepEqual(eventPaths({}), []);
+});
+
+test('a path matches prefixes it lies under', () => {
+  assert.ok(pathMatchesPrefix('photos/2024/a.jpg', 'photos/'));
+  assert.ok(pathMatchesPrefix('photos/2024/a.jpg', ''));
+  assert.ok(!pathMatchesPrefix('photosets/a.jpg', 'photos/'));
+});
+
+test('a folder matches prefixes below it', () => {
+  assert.ok(pathMatchesPrefix('photos/', 'photos/2024/'));
+  assert.ok(!pathMatchesPrefix('photos/a.jpg', 'photos/a.jpg/b'));
+  assert.ok(!pathMatchesPrefix('videos/', 'photos/2024/'));
+});
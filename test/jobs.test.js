@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue, parseFfmpegTimeMs } from '../media/jobs.js';
+
+const logger = { info: () => {}, warn: () => {} };
+
+test('the last time in an FFmpeg stats chunk is used', () => {
+  const chunk = 'size=     256kB time=00:00:04.50 bitrate= 466.0kbits/s\rsize=     512kB time=00:01:02.25 bitrate= 67.4kbits/s';
+  assert.equal(parseFfmpegTimeMs(chunk), 62250);
+  assert.equal(parseFfmpegTimeMs('time=1:00:00'), 3600000);
+});
+
+test('chunks without a time report null', () => {
+  assert.equal(parseFfmpegTimeMs('Stream mapping:'), null);
+  assert.equal(parseFfmpegTimeMs('time=N/A bitrate=N/A'), null);
+});
+
+test('jobs beyond the concurrency limit wait for a free slot', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 1, retentionMs: 60000, logger });
+  let release;
+  const first = queue.submit({ type: 'test', owner: 'a', run: () => new Promise((resolve) => { release = resolve; }) });
+  const second = queue.submit({ type: 'test', owner: 'a', run: async () => 'second' });
+  assert.equal(queue.submit({ type: 'test', owner: 'a', run: async () => null }), null);
+  assert.equal(first.status, 'running');
+  assert.equal(second.status, 'queued');
+
+  release('first');
+  assert.equal((await first.done).result, 'first');
+  assert.equal((await second.done).result, 'second');
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canAccessKey, canAccessPrefix, canBrowsePrefix, canUseBucket, normalizePrefixPolicy } from '../auth/policies.js';
+
+const userWith = (prefixes, home) => ({ username: 'alice', policy: normalizePrefixPolicy({ prefixes, home }, 'test').policy });
+
+const alice = userWith([
+  { prefix: 'clients/', access: 'read-only' },
+  { prefix: 'clients/acme/', access: 'read-write' },
+  { prefix: 'clients/acme/contracts/', access: 'read-only' }
+]);
+
+test('prefixes are normalized and the home defaults to the shared folder', () => {
+  const { policy } = normalizePrefixPolicy({ prefixes: ['a/b', { prefix: 'a/c/', access: 'read-write' }] }, 'test');
+  assert.deepEqual(policy.rules.map((rule) => [rule.prefix, rule.access]), [['a/b/', 'read-only'], ['a/c/', 'read-write']]);
+  assert.equal(policy.homePrefix, 'a/');
+  assert.ok(normalizePrefixPolicy({ prefixes: ['../etc'] }, 'test').error);
+  assert.ok(normalizePrefixPolicy({ prefixes: [{ prefix: 'a/', access: 'owner' }] }, 'test').error);
+});
+
+test('the longest matching prefix decides', () => {
+  assert.ok(canAccessKey(alice, 'clients/acme/logo.png', 'write'));
+  assert.ok(!canAccessKey(alice, 'clients/acme/contracts/2024.pdf', 'write'));
+  assert.ok(canAccessKey(alice, 'clients/acme/contracts/2024.pdf', 'read'));
+  assert.ok(!canAccessKey(alice, 'clients/other/logo.png', 'write'));
+  assert.ok(!canAccessKey(alice, 'internal/plan.txt', 'read'));
+});
+
+test('prefix operations need every nested rule to agree', () => {
+  assert.ok(canAccessPrefix(alice, 'clients/acme/invoices/', 'write'));
+  assert.ok(!canAccessPrefix(alice, 'clients/acme/', 'write'));
+  assert.ok(canAccessPrefix(alice, 'clients/', 'read'));
+});
+
+test('parents of readable prefixes can be browsed', () => {
+  const bob = userWith(['projects/2024/']);
+  assert.ok(canBrowsePrefix(bob, ''));
+  assert.ok(canBrowsePrefix(bob, 'projects/'));
+  assert.ok(canBrowsePrefix(bob, 'projects/2024/drafts/'));
+  assert.ok(!canBrowsePrefix(bob, 'projects/2023/'));
+  assert.ok(!canBrowsePrefix(bob, 'archive/'));
+});
+
+test('rules can be limited to a bucket', () => {
+  const carol = userWith([{ prefix: 'media/', access: 'read-write', bucket: 'main' }]);
+  assert.ok(canAccessKey(carol, 'media/a.mp4', 'write', 'main'));
+  assert.ok(!canAccessKey(carol, 'media/a.mp4', 'read', 'backups'));
+  assert.ok(canUseBucket(carol, 'main'));
+  assert.ok(!canUseBucket(carol, 'backups'));
+});
+
+test('users without prefixes are unrestricted', () => {
+  const admin = userWith(undefined);
+  assert.ok(canAccessPrefix(admin, '', 'write', 'any'));
+  assert.ok(canBrowsePrefix(admin, 'anything/'));
+  assert.ok(!canAccessKey(null, 'a.txt'));
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Client } from '@aws-sdk/client-s3';
+import { buildContentDisposition, MAX_PRESIGNED_URL_EXPIRY_SECONDS, presignObjectUrl, resolvePreview } from '../s3/preview.js';
+
+const bucket = {
+  name: 'media',
+  client: new S3Client({
+    region: 'eu-central-1',
+    endpoint: 'https://s3.example.test',
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'id', secretAccessKey: 'secret' }
+  })
+};
+const videoExtensions = new Set(['.mp4', '.mov']);
+const audioExtensions = new Set(['.mp3', '.wav']);
+
+const preview = (key, contentType) => resolvePreview({ key, contentType, videoExtensions, audioExtensions });
+
+test('previews are chosen by extension before the stored content type', () => {
+  assert.deepEqual(preview('clips/intro.MP4', 'application/octet-stream'), { kind: 'video', format: null, contentType: 'video/mp4' });
+  assert.deepEqual(preview('song.mp3', 'audio/mpeg'), { kind: 'audio', format: null, contentType: null });
+  assert.deepEqual(preview('scan.pdf', ''), { kind: 'pdf', format: null, contentType: 'application/pdf' });
+  assert.deepEqual(preview('photo', 'image/heic'), { kind: 'image', format: null, contentType: null });
+  assert.deepEqual(preview('archive.zip', 'application/zip'), { kind: null, format: null, contentType: null });
+});
+
+test('text previews are always served as plain text', () => {
+  assert.deepEqual(preview('page.html', 'text/html'), { kind: 'text', format: 'plain', contentType: 'text/plain; charset=utf-8' });
+  assert.deepEqual(preview('data.csv', 'text/csv'), { kind: 'text', format: 'csv', contentType: 'text/plain; charset=utf-8' });
+  assert.deepEqual(preview('export', 'application/json; charset=utf-8'), { kind: 'text', format: 'json', contentType: 'text/plain; charset=utf-8' });
+  assert.equal(preview('icon.svg', 'image/svg+xml').kind, 'image');
+});
+
+test('content dispositions carry an ASCII fallback and the UTF-8 name', () => {
+  assert.equal(buildContentDisposition('report.pdf'), 'attachment; filename="report.pdf"; filename*=UTF-8\'\'report.pdf');
+  assert.equal(
+    buildContentDisposition('Übersicht "final" (1).txt', 'inline'),
+    'inline; filename="_bersicht _final_ (1).txt"; filename*=UTF-8\'\'%C3%9Cbersicht%20%22final%22%20%281%29.txt'
+  );
+});
+
+test('download URLs are signed as attachments for the requested time', async () => {
+  const { url, expiresIn, expiresAt } = await presignObjectUrl(bucket, 'clients/acme/Q1 report.pdf', { expiresIn: 900 });
+  const parsed = new URL(url);
+
+  assert.equal(parsed.pathname, '/media/clients/acme/Q1%20report.pdf');
+  assert.equal(parsed.searchParams.get('X-Amz-Expires'), '900');
+  assert.equal(parsed.searchParams.get('response-content-disposition'), buildContentDisposition('Q1 report.pdf'));
+  assert.equal(parsed.searchParams.get('response-content-type'), null);
+  assert.equal(expiresIn, 900);
+  assert.ok(Math.abs(Date.parse(expiresAt) - (Date.now() + 900 * 1000)) < 5000);
+});
+
+test('preview URLs are inline and can override the content type', async () => {
+  const { url } = await presignObjectUrl(bucket, 'clips/intro.mp4', { disposition: 'inline', contentType: 'video/mp4', expiresIn: 3600 });
+  const parsed = new URL(url);
+
+  assert.equal(parsed.searchParams.get('response-content-disposition'), buildContentDisposition('intro.mp4', 'inline'));
+  assert.equal(parsed.searchParams.get('response-content-type'), 'video/mp4');
+});
+
+test('expiries are clamped to what SigV4 accepts', async () => {
+  const tooLong = await presignObjectUrl(bucket, 'a.txt', { expiresIn: MAX_PRESIGNED_URL_EXPIRY_SECONDS + 1 });
+  assert.equal(tooLong.expiresIn, MAX_PRESIGNED_URL_EXPIRY_SECONDS);
+  assert.equal(new URL(tooLong.url).searchParams.get('X-Amz-Expires'), String(MAX_PRESIGNED_URL_EXPIRY_SECONDS));
+
+  assert.equal((await presignObjectUrl(bucket, 'a.txt', { expiresIn: 0 })).expiresIn, 1);
+  assert.equal((await presignObjectUrl(bucket, 'a.txt', { expiresIn: 12.7 })).expiresIn, 12);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildS3ClientConfig, detectProvider, resolveProviderProfile } from '../s3/providers.js';
+import { resolveForcePathStyle } from '../s3/utils.js';
+
+test('providers are detected from the endpoint host', () => {
+  assert.equal(detectProvider('https://fsn1.your-objectstorage.com'), 'hetzner');
+  assert.equal(detectProvider('https://s3.eu-central-1.amazonaws.com'), 'aws');
+  assert.equal(detectProvider('https://abc.r2.cloudflarestorage.com'), 'r2');
+  assert.equal(detectProvider('https://s3.us-west-004.backblazeb2.com'), 'backblaze');
+  assert.equal(detectProvider('http://localhost:9000'), 'generic');
+  assert.equal(detectProvider('not a url'), 'generic');
+});
+
+test('an explicit provider wins over detection and unknown names are reported', () => {
+  assert.equal(resolveProviderProfile({ provider: ' MinIO ', endpoint: 'https://s3.amazonaws.com' }).profile.name, 'minio');
+  assert.deepEqual(resolveProviderProfile({ provider: 'wasabi', endpoint: 'https://s3.wasabisys.com' }), {
+    profile: null,
+    invalidValue: 'wasabi'
+  });
+});
+
+test('client configs follow the profile', () => {
+  const base = { endpoint: 'https://example.test', region: 'eu', accessKeyId: 'id', secretAccessKey: 'secret' };
+  const checksums = { requestChecksumCalculation: 'WHEN_SUPPORTED', responseChecksumValidation: 'WHEN_SUPPORTED' };
+
+  const hetzner = buildS3ClientConfig({ ...base, ...checksums, profile: resolveProviderProfile({ provider: 'hetzner' }).profile });
+  assert.equal(hetzner.forcePathStyle, false);
+  assert.equal(hetzner.signingEscapePath, false);
+  assert.equal(hetzner.requestChecksumCalculation, 'WHEN_REQUIRED');
+  assert.equal(hetzner.responseChecksumValidation, 'WHEN_REQUIRED');
+
+  const minio = buildS3ClientConfig({ ...base, ...checksums, profile: resolveProviderProfile({ provider: 'minio' }).profile });
+  assert.equal(minio.forcePathStyle, true);
+  assert.equal(minio.requestChecksumCalculation, 'WHEN_SUPPORTED');
+
+  assert.equal(buildS3ClientConfig({ ...base, profile: resolveProviderProfile({ provider: 'minio' }).profile, forcePathStyle: false }).forcePathStyle, false);
+});
+
+test('FORCE_PATH_STYLE only overrides the fallback with a recognised value', () => {
+  assert.deepEqual(resolveForcePathStyle(' TRUE ', false), { value: true, invalidValue: null });
+  assert.deepEqual(resolveForcePathStyle('off', true), { value: false, invalidValue: null });
+  assert.deepEqual(resolveForcePathStyle(false, true), { value: false, invalidValue: null });
+  assert.deepEqual(resolveForcePathStyle(undefined, true), { value: true, invalidValue: null });
+  assert.deepEqual(resolveForcePathStyle('', true), { value: true, invalidValue: null });
+  assert.deepEqual(resolveForcePathStyle('maybe', true), { value: true, invalidValue: 'maybe' });
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createObjectQueue } from '../media/queue.js';
+
+const logger = { warn: () => {} };
+const bucket = { id: 'media' };
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a waiting key is not queued twice', async () => {
+  let release;
+  const queue = createObjectQueue({ label: 'Test', run: () => new Promise((resolve) => { release = resolve; }), logger });
+  assert.ok(queue.enqueue(bucket, 'a.mp4'));
+  assert.ok(queue.enqueue(bucket, 'b.mp4'));
+  assert.ok(!queue.enqueue(bucket, 'b.mp4'));
+  assert.equal(queue.status(bucket, 'b.mp4'), 'queued');
+  release();
+});
+
+test('each owner has a limited number of waiting keys', async () => {
+  let release;
+  const queue = createObjectQueue({
+    label: 'Test',
+    run: () => new Promise((resolve) => { release = resolve; }),
+    logger,
+    maxQueuedPerOwner: 1
+  });
+  assert.ok(queue.enqueue(bucket, 'running.mp4', { owner: 'alice' }));
+  assert.ok(queue.enqueue(bucket, 'a.mp4', { owner: 'alice' }));
+  assert.ok(!queue.enqueue(bucket, 'b.mp4', { owner: 'alice' }));
+  assert.ok(queue.enqueue(bucket, 'b.mp4', { owner: 'bob' }));
+  assert.ok(queue.enqueue(bucket, 'c.mp4'));
+
+  release();
+  await settle();
+  assert.ok(queue.enqueue(bucket, 'd.mp4', { owner: 'alice' }), 'a slot frees up once a key starts');
+  release();
+});
+
+test('failed keys are skipped unless forced', async () => {
+  const queue = createObjectQueue({ label: 'Test', run: async () => { throw new Error('broken'); }, logger });
+  queue.enqueue(bucket, 'a.mp4');
+  await settle();
+  assert.equal(queue.status(bucket, 'a.mp4'), 'failed');
+  assert.ok(!queue.enqueue(bucket, 'a.mp4'));
+  assert.ok(queue.enqueue(bucket, 'a.mp4', { force: true }));
+});
+
+test('remembered failures are capped and expire', async () => {
+  const queue = createObjectQueue({ label: 'Test', run: async () => { throw new Error('broken'); }, logger, maxFailures: 2 });
+  ['a.mp4', 'b.mp4', 'c.mp4'].forEach((key) => queue.enqueue(bucket, key));
+  await settle();
+  assert.equal(queue.failureCount(), 2);
+  assert.equal(queue.status(bucket, 'a.mp4'), null);
+  assert.equal(queue.status(bucket, 'c.mp4'), 'failed');
+
+  const expiring = createObjectQueue({ label: 'Test', run: async () => { throw new Error('broken'); }, logger, retryDelayMs: 20 });
+  expiring.enqueue(bucket, 'a.mp4');
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  expiring.enqueue(bucket, 'b.mp4');
+  await settle();
+  assert.equal(expiring.failureCount(), 1);
+});
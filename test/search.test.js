@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createListingCache, matchesSearch, MAX_SEARCH_LIMIT, parseSearchCriteria } from '../s3/search.js';
+
+const object = (key, size = 100, lastModified = Date.parse('2024-05-01T00:00:00Z')) => ({ key, size, lastModified });
+const criteriaFor = (query) => parseSearchCriteria(query).criteria;
+
+test('invalid criteria are reported', () => {
+  assert.ok(parseSearchCriteria({ minSize: '-1' }).error);
+  assert.ok(parseSearchCriteria({ maxSize: '1.5' }).error);
+  assert.ok(parseSearchCriteria({ modifiedAfter: 'yesterday-ish' }).error);
+  assert.ok(parseSearchCriteria({ limit: '0' }).error);
+});
+
+test('the limit is capped', () => {
+  assert.equal(criteriaFor({ limit: String(MAX_SEARCH_LIMIT * 2) }).limit, MAX_SEARCH_LIMIT);
+});
+
+test('plain queries match file names case-insensitively', () => {
+  const criteria = criteriaFor({ q: 'Intro' });
+  assert.ok(matchesSearch(object('videos/intro.mp4'), criteria));
+  assert.ok(!matchesSearch(object('intro/outro.mp4'), criteria));
+});
+
+test('globs match whole names, or paths when they contain a slash', () => {
+  assert.ok(matchesSearch(object('a/b/clip-01.mp4'), criteriaFor({ q: 'clip-??.mp4' })));
+  assert.ok(!matchesSearch(object('a/b/clip-001.mp4'), criteriaFor({ q: 'clip-??.mp4' })));
+  assert.ok(matchesSearch(object('a/b/c.txt'), criteriaFor({ q: 'b/*.txt' })));
+  assert.ok(!matchesSearch(object('a/bb/c.txt'), criteriaFor({ q: 'b/*.txt' })));
+});
+
+test('size and date bounds are inclusive', () => {
+  const criteria = criteriaFor({ minSize: '100', maxSize: '200', modifiedAfter: '2024-05-01', modifiedBefore: '2024-05-01T00:00:00Z' });
+  assert.ok(matchesSearch(object('a.bin', 100), criteria));
+  assert.ok(!matchesSearch(object('a.bin', 201), criteria));
+  assert.ok(!matchesSearch(object('a.bin', 100, Date.parse('2024-05-02')), criteria));
+});
+
+test('folder placeholders never match', () => {
+  assert.ok(!matchesSearch(object('videos/', 0), criteriaFor({})));
+});
+
+test('invalidated listings are fetched again', async () => {
+  const cache = createListingCache({ ttlMs: 60000, maxObjects: 100 });
+  let fetches = 0;
+  const fetchPage = async () => {
+    fetches += 1;
+    return { objects: [object('a/1.txt')], nextContinuationToken: null };
+  };
+  const drain = async () => {
+    for await (const page of cache.iterate('bucket', 'a/', fetchPage)) {
+      assert.equal(page.length, 1);
+    }
+  };
+
+  await drain();
+  await drain();
+  assert.equal(fetches, 1);
+  cache.invalidate('bucket', 'a/2.txt');
+  await drain();
+  assert.equal(fetches, 2);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionManager, parseCookies } from '../auth/sessions.js';
+
+const createManager = () => createSessionManager({ secret: 'test-secret', idleTimeoutMs: 1000, absoluteTimeoutMs: 5000 });
+
+test('sessions resolve from their signed cookie value only', () => {
+  const manager = createManager();
+  const { session, cookieValue } = manager.create('alice');
+
+  assert.equal(manager.resolve(cookieValue), session);
+  assert.equal(manager.resolve(`${session.id}.forged`), null);
+  assert.equal(manager.resolve(session.id), null);
+  assert.equal(createSessionManager({ secret: 'other', idleTimeoutMs: 1000, absoluteTimeoutMs: 5000 }).resolve(cookieValue), null);
+});
+
+test('sessions expire when idle and after the absolute timeout', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const manager = createManager();
+
+  const idle = manager.create('alice');
+  t.mock.timers.tick(1001);
+  assert.equal(manager.resolve(idle.cookieValue), null);
+  assert.equal(manager.size, 0);
+
+  const busy = manager.create('bob');
+  for (let elapsed = 0; elapsed < 4800; elapsed += 800) {
+    t.mock.timers.tick(800);
+    assert.equal(manager.resolve(busy.cookieValue), busy.session);
+  }
+  t.mock.timers.tick(800);
+  assert.equal(manager.resolve(busy.cookieValue), null);
+});
+
+test('isActive does not extend the idle timeout', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const manager = createManager();
+  const { session } = manager.create('alice');
+
+  t.mock.timers.tick(600);
+  assert.ok(manager.isActive(session));
+  t.mock.timers.tick(600);
+  assert.ok(!manager.isActive(session));
+});
+
+test('destroyed sessions no longer resolve', () => {
+  const manager = createManager();
+  const { session, cookieValue } = manager.create('alice');
+
+  manager.destroy(session);
+  assert.equal(manager.resolve(cookieValue), null);
+  assert.ok(!manager.isActive(session));
+});
+
+test('CSRF tokens are bound to their session', () => {
+  const manager = createManager();
+  const alice = manager.create('alice').session;
+  const bob = manager.create('bob').session;
+  const token = manager.csrfTokenFor(alice);
+
+  assert.ok(manager.verifyCsrfToken(alice, token));
+  assert.ok(!manager.verifyCsrfToken(bob, token));
+  assert.ok(!manager.verifyCsrfToken(alice, `${token}x`));
+  assert.ok(!manager.verifyCsrfToken(alice, undefined));
+  assert.ok(!manager.verifyCsrfToken(null, token));
+});
+
+test('parseCookies decodes values and skips malformed parts', () => {
+  assert.deepEqual(parseCookies('a=1; s3ui_session=abc%2Edef; broken; b=%E0'), {
+    a: '1',
+    s3ui_session: 'abc.def',
+    b: '%E0'
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoginThrottle } from '../auth/throttle.js';
+
+const keys = ['ip:10.0.0.1', 'user:alice'];
+
+test('failures are free until the limit', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 3, baseDelayMs: 1000 });
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    throttle.recordFailure(keys, 0);
+  }
+  assert.equal(throttle.retryAfterMs(keys, 0), 0);
+});
+
+test('the delay doubles per failure up to the maximum', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 0, baseDelayMs: 1000, maxDelayMs: 5000 });
+  const delays = [1, 2, 3, 4].map(() => {
+    throttle.recordFailure(keys, 0);
+    return throttle.retryAfterMs(keys, 0);
+  });
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000]);
+  assert.equal(throttle.retryAfterMs(keys, 6000), 0);
+});
+
+test('a blocked username is blocked from any address', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 0, baseDelayMs: 1000 });
+  throttle.recordFailure(keys, 0);
+  assert.equal(throttle.retryAfterMs(['ip:10.0.0.2', 'user:alice'], 0), 1000);
+  assert.equal(throttle.retryAfterMs(['ip:10.0.0.2', 'user:bob'], 0), 0);
+});
+
+test('success and quiet periods reset the count', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 1, baseDelayMs: 1000, resetAfterMs: 10000 });
+  throttle.recordFailure(keys, 0);
+  throttle.recordSuccess(keys);
+  throttle.recordFailure(keys, 0);
+  assert.equal(throttle.retryAfterMs(keys, 0), 0);
+  throttle.recordFailure(keys, 20000);
+  assert.equal(throttle.retryAfterMs(keys, 20000), 0);
+});
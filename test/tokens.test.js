@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canAccessKey, normalizePrefixPolicy } from '../auth/policies.js';
+import { canManageToken, createTokenStore, tokenPolicy } from '../auth/tokens.js';
+
+const bucketIds = ['main', 'backups'];
+const acme = {
+  username: 'acme-admin',
+  policy: normalizePrefixPolicy({
+    prefixes: [{ prefix: 'clients/acme/', access: 'read-write' }, { prefix: 'shared/', access: 'read-only' }]
+  }, 'test').policy
+};
+const boss = { username: 'boss', policy: { rules: null, homePrefix: '' } };
+const token = (fields) => ({ createdBy: 'boss', scopes: ['objects:read'], prefix: null, bucket: null, ...fields });
+
+test('admins with a prefix policy manage tokens inside it', () => {
+  assert.ok(canManageToken(acme, token({ prefix: 'clients/acme/', scopes: ['objects:write'] }), bucketIds));
+  assert.ok(canManageToken(acme, token({ prefix: 'clients/acme/exports/', bucket: 'main' }), bucketIds));
+  assert.ok(canManageToken(acme, token({ prefix: 'shared/' }), bucketIds));
+});
+
+test('tokens outside the policy are hidden from admins with a prefix policy', () => {
+  assert.ok(!canManageToken(acme, token({ prefix: 'clients/other/' }), bucketIds));
+  assert.ok(!canManageToken(acme, token({}), bucketIds));
+  assert.ok(!canManageToken(acme, token({ prefix: 'shared/', scopes: ['objects:read', 'objects:delete'] }), bucketIds));
+});
+
+test('admins manage the tokens they created', () => {
+  assert.ok(canManageToken(acme, token({ createdBy: 'acme-admin', prefix: 'clients/other/' }), bucketIds));
+});
+
+test('unrestricted admins manage every token', () => {
+  assert.ok(canManageToken(boss, token({}), bucketIds));
+  assert.ok(canManageToken(boss, token({ createdBy: 'someone', prefix: 'clients/other/', scopes: ['objects:delete'] }), bucketIds));
+});
+
+const createStore = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, 'tokens.json');
+  return { filePath, store: createTokenStore({ filePath }) };
+};
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+test('tokens authenticate with the exact secret only', (t) => {
+  const { store } = createStore(t);
+  const { token, record } = store.create({ name: 'ci', scopes: ['objects:read'], expiresAt: inDays(1), createdBy: 'boss' });
+
+  assert.equal(store.authenticate(token)?.id, record.id);
+  assert.equal(store.authenticate(`${token.slice(0, -1)}${token.endsWith('a') ? 'b' : 'a'}`), null);
+  assert.equal(store.authenticate(`s3t_${record.id}_guess`), null);
+  assert.equal(store.authenticate('not-a-token'), null);
+  assert.ok(!('tokenHash' in record));
+});
+
+test('revoked and expired tokens stop authenticating', (t) => {
+  const { store } = createStore(t);
+  const revoked = store.create({ name: 'old', scopes: ['objects:read'], expiresAt: inDays(1), createdBy: 'boss' });
+  const expired = store.create({ name: 'past', scopes: ['objects:read'], expiresAt: inDays(-1), createdBy: 'boss' });
+
+  assert.ok(store.isActive(revoked.record.id));
+  assert.equal(store.revoke(revoked.record.id).status, 'revoked');
+  assert.equal(store.authenticate(revoked.token), null);
+  assert.ok(!store.isActive(revoked.record.id));
+
+  assert.equal(store.get(expired.record.id).status, 'expired');
+  assert.equal(store.authenticate(expired.token), null);
+  assert.ok(!store.isActive(expired.record.id));
+  assert.equal(store.revoke('missing'), null);
+});
+
+test('tokens survive a reload from disk without their secret', (t) => {
+  const { filePath, store } = createStore(t);
+  const { token, record } = store.create({ name: 'ci', scopes: ['objects:write'], expiresAt: inDays(1), createdBy: 'boss' });
+
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes(token));
+  const reloaded = createTokenStore({ filePath });
+  assert.equal(reloaded.authenticate(token)?.id, record.id);
+  assert.deepEqual(reloaded.list().map(({ id }) => id), [record.id]);
+});
+
+test('token policies confine keys to the token prefix and bucket', () => {
+  const user = (fields) => ({ policy: tokenPolicy(token(fields)) });
+
+  const scoped = user({ prefix: 'clients/acme/', bucket: 'main' });
+  assert.ok(canAccessKey(scoped, 'clients/acme/report.pdf', 'write', 'main'));
+  assert.ok(!canAccessKey(scoped, 'clients/other/report.pdf', 'read', 'main'));
+  assert.ok(!canAccessKey(scoped, 'clients/acme/report.pdf', 'read', 'backups'));
+
+  const bucketOnly = user({ bucket: 'backups' });
+  assert.ok(canAccessKey(bucketOnly, 'anything', 'write', 'backups'));
+  assert.ok(!canAccessKey(bucketOnly, 'anything', 'read', 'main'));
+
+  assert.ok(canAccessKey(user({}), 'anything', 'write', 'main'));
+});
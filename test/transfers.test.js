@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_COPY_PART_BYTES, normalizeTransfer, planCopyParts, transferDestinationKey } from '../s3/transfers.js';
+
+test('a key copied to a prefix keeps its file name', () => {
+  assert.equal(transferDestinationKey('a/b.bin', 'c/'), 'c/b.bin');
+  assert.equal(transferDestinationKey('a/b.bin', 'c/d.bin'), 'c/d.bin');
+});
+
+test('keys below a source prefix keep their relative path', () => {
+  assert.equal(transferDestinationKey('a/', 'c/', 'a/x/y.txt'), 'c/x/y.txt');
+  assert.equal(transferDestinationKey('a/', 'c', 'a/y.txt'), 'c/y.txt');
+});
+
+test('prefix destinations get a trailing slash', () => {
+  assert.deepEqual(normalizeTransfer('a/', 'c'), { destination: 'c/' });
+  assert.deepEqual(normalizeTransfer('a/b.bin', 'c'), { destination: 'c' });
+});
+
+test('copying a key onto itself is rejected', () => {
+  assert.ok(normalizeTransfer('a/b.bin', 'a/b.bin').error);
+  assert.ok(normalizeTransfer('a/b.bin', 'a/').error);
+  assert.ok(normalizeTransfer('a/', 'a').error);
+});
+
+test('a prefix cannot be copied into itself', () => {
+  assert.equal(normalizeTransfer('a/', 'a/b/').error, 'Destination cannot be inside the source prefix');
+  assert.deepEqual(normalizeTransfer('a/', 'ab/'), { destination: 'ab/' });
+});
+
+const GiB = 1024 * 1024 * 1024;
+const MiB = 1024 * 1024;
+
+test('copy parts cover the object with the preferred part size', () => {
+  const parts = planCopyParts(1200 * MiB, { partSize: 512 * MiB, maxPartCount: 10_000 });
+  assert.deepEqual(parts, [
+    { partNumber: 1, start: 0, end: 512 * MiB - 1 },
+    { partNumber: 2, start: 512 * MiB, end: 1024 * MiB - 1 },
+    { partNumber: 3, start: 1024 * MiB, end: 1200 * MiB - 1 }
+  ]);
+});
+
+test('copy parts grow to stay within the part count but not beyond 5 GiB', () => {
+  const grown = planCopyParts(20 * GiB, { partSize: 512 * MiB, maxPartCount: 10 });
+  assert.equal(grown.length, 10);
+  assert.equal(grown[0].end + 1, 2 * GiB);
+
+  const clamped = planCopyParts(12 * GiB, { partSize: 8 * GiB, maxPartCount: 10_000 });
+  assert.deepEqual(clamped.map(({ start, end }) => end - start + 1), [MAX_COPY_PART_BYTES, MAX_COPY_PART_BYTES, 2 * GiB]);
+});
+
+test('objects that do not fit in the part limit are rejected', () => {
+  assert.throws(() => planCopyParts(60 * GiB, { partSize: 512 * MiB, maxPartCount: 10 }), /Cannot copy/);
+});
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createUsageAccumulator, createUsageSnapshotStore, USAGE_MAX_EXTENSIONS, USAGE_TOP_COUNT } from '../s3/usage.js';
+
+test('usage totals objects, subfolders and extensions below a prefix', () => {
+  const usage = createUsageAccumulator('media/');
+  [
+    { key: 'media/', size: 0 },
+    { key: 'media/cover.JPG', size: 10 },
+    { key: 'media/videos/', size: 0 },
+    { key: 'media/videos/a.mp4', size: 300 },
+    { key: 'media/videos/raw/b.mp4', size: 500 },
+    { key: 'media/audio/c.mp3', size: '40' },
+    { key: 'media/audio/README', size: 2 }
+  ].forEach((object) => usage.add(object));
+
+  const result = usage.result();
+  assert.equal(result.objectCount, 5);
+  assert.equal(result.size, 852);
+  assert.deepEqual(result.subfolders, [
+    { prefix: 'media/videos/', objectCount: 2, size: 800 },
+    { prefix: 'media/audio/', objectCount: 2, size: 42 }
+  ]);
+  assert.deepEqual(result.extensions, [
+    { extension: 'mp4', objectCount: 2, size: 800 },
+    { extension: 'mp3', objectCount: 1, size: 40 },
+    { extension: 'jpg', objectCount: 1, size: 10 },
+    { extension: '', objectCount: 1, size: 2 }
+  ]);
+  assert.equal(result.otherExtensions, null);
+  assert.deepEqual(result.largestFiles.map(({ key }) => key), [
+    'media/videos/raw/b.mp4', 'media/videos/a.mp4', 'media/audio/c.mp3', 'media/cover.JPG', 'media/audio/README'
+  ]);
+});
+
+test('only the largest files and extensions are listed individually', () => {
+  const usage = createUsageAccumulator('');
+  for (let index = 0; index < USAGE_MAX_EXTENSIONS + 5; index += 1) {
+    usage.add({ key: `file-${index}.ext${index}`, size: index + 1 });
+  }
+
+  const result = usage.result();
+  assert.equal(result.largestFiles.length, USAGE_TOP_COUNT);
+  assert.equal(result.largestFiles[0].size, USAGE_MAX_EXTENSIONS + 5);
+  assert.equal(result.extensions.length, USAGE_MAX_EXTENSIONS);
+  assert.deepEqual(result.otherExtensions, { objectCount: 5, size: 15 });
+});
+
+test('snapshot totals cover the prefix and folders down to the snapshot depth', () => {
+  const usage = createUsageAccumulator('', { snapshotDepth: 2 });
+  [
+    { key: 'top.txt', size: 1 },
+    { key: 'clients/', size: 0 },
+    { key: 'clients/acme/a.pdf', size: 10 },
+    { key: 'clients/acme/deep/b.pdf', size: 20 },
+    { key: 'clients/other/c.pdf', size: 5 }
+  ].forEach((object) => usage.add(object));
+
+  assert.deepEqual(usage.snapshotTotals(), {
+    '': { objectCount: 4, size: 36 },
+    'clients/': { objectCount: 3, size: 35 },
+    'clients/acme/': { objectCount: 2, size: 30 },
+    'clients/other/': { objectCount: 1, size: 5 }
+  });
+});
+
+test('snapshots are persisted per bucket, capped and queried by prefix', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, 'usage.json');
+
+  const store = createUsageSnapshotStore({ filePath, maxSnapshots: 2 });
+  [1, 2, 3].forEach((size) => store.record('main', {
+    source: 'index',
+    prefixes: { '': { objectCount: size, size }, ...(size > 1 ? { 'clients/': { objectCount: 1, size } } : {}) }
+  }));
+  store.record('backups', { source: 's3', prefixes: { '': { objectCount: 9, size: 9 } } });
+
+  const reloaded = createUsageSnapshotStore({ filePath, maxSnapshots: 2 });
+  assert.deepEqual(reloaded.history('main', '').map(({ size }) => size), [2, 3]);
+  assert.deepEqual(reloaded.history('main', 'clients/').map(({ objectCount }) => objectCount), [1, 1]);
+  assert.deepEqual(reloaded.history('main', 'missing/'), []);
+  assert.equal(reloaded.latest('backups').source, 's3');
+  assert.equal(reloaded.latest('unknown'), null);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+import { hashPassword, isPasswordHash, loadUserStore, verifyPassword } from '../auth/users.js';
+
+// Cheap hashes keep the suite fast; the cache test uses the default cost so a
+// cache hit is clearly faster than a verification.
+const FAST_COST = 1024;
+
+const timed = async (fn) => {
+  const startedAt = performance.now();
+  const result = await fn();
+  return { result, elapsedMs: performance.now() - startedAt };
+};
+
+test('hashes record their parameters and verify the right password only', async () => {
+  const hash = hashPassword('correct horse', { cost: FAST_COST });
+
+  assert.ok(isPasswordHash(hash));
+  assert.match(hash, /^scrypt\$1024\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(hashPassword('correct horse', { cost: FAST_COST }), hash);
+  assert.ok(await verifyPassword('correct horse', hash));
+  assert.ok(!await verifyPassword('correct horse!', hash));
+  assert.ok(!await verifyPassword(undefined, hash));
+});
+
+test('malformed hashes never verify', async () => {
+  const [, , , , salt, key] = hashPassword('pw', { cost: FAST_COST }).split('$');
+
+  assert.ok(!await verifyPassword('pw', 'plain-text'));
+  assert.ok(!await verifyPassword('pw', `scrypt$abc$8$1$${salt}$${key}`));
+  assert.ok(!await verifyPassword('pw', `scrypt$1024$8$1$${salt}$`));
+  assert.ok(!await verifyPassword('pw', `scrypt$1000$8$1$${salt}$${key}`));
+});
+
+test('the user store authenticates users from AUTH_USERS', async () => {
+  const store = loadUserStore({ usersEnv: `alice:admin:${hashPassword('pw', { cost: FAST_COST })},bob:nobody:scrypt$x` });
+
+  assert.equal(store.size, 1);
+  assert.equal(store.errors.length, 1);
+  assert.equal((await store.authenticate('alice', 'pw'))?.role, 'admin');
+  assert.equal(await store.authenticate('alice', 'wrong'), null);
+  assert.equal(await store.authenticate('carol', 'pw'), null);
+});
+
+test('verified credentials are cached for five minutes', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const store = loadUserStore({ usersEnv: `alice:viewer:${hashPassword('pw')}` });
+
+  const first = await timed(() => store.authenticate('alice', 'pw'));
+  const cached = await timed(() => store.authenticate('alice', 'pw'));
+  assert.ok(first.result && cached.result);
+  assert.ok(cached.elapsedMs < first.elapsedMs / 2, `cached ${cached.elapsedMs}ms, first ${first.elapsedMs}ms`);
+
+  t.mock.timers.tick(5 * 60 * 1000 + 1);
+  const expired = await timed(() => store.authenticate('alice', 'pw'));
+  assert.ok(expired.result);
+  assert.ok(expired.elapsedMs > cached.elapsedMs * 2, `expired ${expired.elapsedMs}ms, cached ${cached.elapsedMs}ms`);
+});
+
+test('a password change invalidates cached credentials', async () => {
+  const store = loadUserStore({ usersEnv: `alice:viewer:${hashPassword('old', { cost: FAST_COST })}` });
+  assert.ok(await store.authenticate('alice', 'old'));
+
+  store.getUser('alice').passwordHash = hashPassword('new', { cost: FAST_COST });
+  assert.equal(await store.authenticate('alice', 'old'), null);
+  assert.ok(await store.authenticate('alice', 'new'));
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { retryDelayMs, signWebhookPayload, toPublicDelivery } from '../webhooks/delivery.js';
+import { normalizePrefixPolicy } from '../auth/policies.js';
+import { canManageSubscription, subscriptionMatches } from '../webhooks/subscriptions.js';
+
+test('payloads are signed over the timestamp and raw body', () => {
+  const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"id":1}').digest('hex');
+  assert.equal(signWebhookPayload('whsec_test', 1700000000, '{"id":1}'), `sha256=${expected}`);
+  assert.notEqual(signWebhookPayload('whsec_test', 1700000001, '{"id":1}'), `sha256=${expected}`);
+});
+
+test('retry delays double with at most 10% jitter', () => {
+  for (const [attempt, delay] of [[1, 1000], [2, 2000], [4, 8000]]) {
+    const actual = retryDelayMs(attempt, 1000);
+    assert.ok(actual >= delay && actual <= delay * 1.1, `attempt ${attempt} waited ${actual}ms`);
+  }
+});
+
+test('public deliveries name the event instead of embedding it', () => {
+  const delivery = toPublicDelivery({ id: 'd1', status: 'delivered', event: { id: 7, type: 'folder.created', data: { prefix: 'a/' } } });
+  assert.deepEqual(delivery, { id: 'd1', status: 'delivered', eventId: 7, eventType: 'folder.created', key: 'a/' });
+});
+
+test('subscriptions match on type, bucket and prefix', () => {
+  const subscription = { events: ['object.created'], bucket: 'media', prefixes: ['videos/'] };
+  const event = { type: 'object.created', bucket: 'media', data: { key: 'videos/intro.mp4' } };
+  assert.ok(subscriptionMatches(subscription, event));
+  assert.ok(!subscriptionMatches(subscription, { ...event, type: 'object.deleted' }));
+  assert.ok(!subscriptionMatches(subscription, { ...event, bucket: 'backups' }));
+  assert.ok(!subscriptionMatches(subscription, { ...event, data: { key: 'photos/a.jpg' } }));
+  assert.ok(subscriptionMatches({ ...subscription, prefixes: [] }, { ...event, data: { key: 'photos/a.jpg' } }));
+});
+
+const bucketIds = ['media', 'backups'];
+const acme = {
+  username: 'acme-admin',
+  policy: normalizePrefixPolicy({ prefixes: [{ prefix: 'clients/acme/', access: 'read-only', bucket: 'media' }] }, 'test').policy
+};
+const boss = { username: 'boss', policy: { rules: null, homePrefix: '' } };
+const subscriptionOf = (fields) => ({ createdBy: 'boss', events: ['object.created'], prefixes: [], bucket: null, ...fields });
+
+test('admins with a prefix policy manage subscriptions inside it', () => {
+  assert.ok(canManageSubscription(acme, subscriptionOf({ prefixes: ['clients/acme/'], bucket: 'media' }), bucketIds));
+  assert.ok(canManageSubscription(acme, subscriptionOf({ createdBy: 'acme-admin', prefixes: ['other/'] }), bucketIds));
+});
+
+test('subscriptions outside the policy are hidden from admins with a prefix policy', () => {
+  assert.ok(!canManageSubscription(acme, subscriptionOf({}), bucketIds));
+  assert.ok(!canManageSubscription(acme, subscriptionOf({ prefixes: ['clients/acme/'] }), bucketIds));
+  assert.ok(!canManageSubscription(acme, subscriptionOf({ prefixes: ['clients/acme/', 'clients/other/'], bucket: 'media' }), bucketIds));
+  assert.ok(!canManageSubscription(acme, subscriptionOf({ createdBy: null, source: 'env' }), bucketIds));
+});
+
+test('unrestricted admins manage every subscription', () => {
+  assert.ok(canManageSubscription(boss, subscriptionOf({ createdBy: null }), bucketIds));
+  assert.ok(canManageSubscription(boss, subscriptionOf({ createdBy: 'acme-admin', prefixes: ['clients/acme/'] }), bucketIds));
+});
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MAX_RECENT_DELIVERIES = 500;
+const FINISHED_STATUSES = new Set(['delivered', 'failed']);
+
+// Receivers recompute the HMAC over `<timestamp>.<body>` with their secret and
+// should reject old timestamps so captured requests cannot be replayed.
+export const signWebhookPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Attempt n waits base * 2^(n-1) plus up to 10% jitter, so a burst of failed
+// deliveries does not retry in lockstep.
+export const retryDelayMs = (attempt, baseMs) => {
+  const delay = baseMs * 2 ** (attempt - 1);
+  return Math.round(delay + Math.random() * delay * 0.1);
+};
+
+export const toPublicDelivery = ({ event, ...delivery }) => ({
+  ...delivery,
+  eventId: event.id,
+  eventType: event.type,
+  key: event.data?.key ?? event.data?.prefix ?? null
+});
+
+// Delivers events to the subscriptions in `store` that match them. Failed
+// attempts are retried with exponential backoff; deliveries that still fail
+// after `maxAttempts` are appended to `deadLetterFile` as JSON lines. Pending
+// retries are kept in memory only.
+export const createWebhookDispatcher = ({ store, deadLetterFile, maxAttempts, retryBaseMs, timeoutMs, logger }) => {
+  const deliveries = new Map();
+
+  const remember = (delivery) => {
+    deliveries.set(delivery.id, delivery);
+    for (const [id, entry] of deliveries) {
+      if (deliveries.size <= MAX_RECENT_DELIVERIES) {
+        break;
+      }
+      if (FINISHED_STATUSES.has(entry.status)) {
+        deliveries.delete(id);
+      }
+    }
+  };
+
+  const writeDeadLetter = (delivery) => {
+    try {
+      fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+      fs.appendFileSync(deadLetterFile, `${JSON.stringify({ ...delivery, failedAt: new Date().toISOString() })}\n`, { mode: 0o600 });
+    } catch (error) {
+      logger.error('Failed to record webhook dead letter', { deliveryId: delivery.id, error: error.message });
+    }
+  };
+
+  const readDeadLetters = () => {
+    if (!fs.existsSync(deadLetterFile)) {
+      return [];
+    }
+
+    return fs.readFileSync(deadLetterFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  };
+
+  const attempt = async (delivery) => {
+    // Retries use the subscription's current URL and secret.
+    const subscription = store.get(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Subscription was removed';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    delivery.attempts += 1;
+    delivery.status = 'sending';
+    delivery.url = subscription.url;
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event.type,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (subscription.secret) {
+      headers['X-Webhook-Signature'] = signWebhookPayload(subscription.secret, timestamp, body);
+    }
+
+    let failure = null;
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      delivery.lastStatus = response.status;
+      await response.body?.cancel().catch(() => {});
+      if (!response.ok) {
+        failure = `Responded with status ${response.status}`;
+      }
+    } catch (error) {
+      failure = error?.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : (error?.cause?.message || error.message);
+    }
+
+    delivery.lastAttemptAt = new Date().toISOString();
+    const meta = {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      eventId: delivery.event.id,
+      eventType: delivery.event.type,
+      attempts: delivery.attempts
+    };
+    if (!failure) {
+      delivery.status = 'delivered';
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      delivery.deliveredAt = delivery.lastAttemptAt;
+      logger.info('Webhook delivered', { ...meta, status: delivery.lastStatus });
+      return;
+    }
+
+    delivery.lastError = failure;
+    if (delivery.attempts >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      logger.warn('Webhook delivery failed permanently', { ...meta, error: failure });
+      writeDeadLetter(delivery);
+      return;
+    }
+
+    const delay = retryDelayMs(delivery.attempts, retryBaseMs);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    logger.warn('Webhook delivery failed, retrying', { ...meta, error: failure, retryInMs: delay });
+    const retryTimer = setTimeout(() => attempt(delivery), delay);
+    if (typeof retryTimer.unref === 'function') {
+      retryTimer.unref();
+    }
+  };
+
+  const deliver = (subscription, event, { replayOf = null } = {}) => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event,
+      status: 'pending',
+      attempts: 0,
+      lastStatus: null,
+      lastError: null,
+      replayOf,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      deliveredAt: null
+    };
+    remember(delivery);
+    attempt(delivery);
+    return delivery;
+  };
+
+  return {
+    publish: (event) => store.matching(event).map((subscription) => deliver(subscription, event)),
+    deliver,
+    // Looks a delivery up among recent deliveries and then in the dead-letter log.
+    find: (id) => deliveries.get(id) || readDeadLetters().find((entry) => entry.id === id) || null,
+    recent: () => Array.from(deliveries.values()).reverse(),
+    deadLetters: ({ limit = 100 } = {}) => readDeadLetters().slice(-limit).reverse()
+  };
+};
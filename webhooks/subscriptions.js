@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { canAccessPrefixIn } from '../auth/policies.js';
+import { EVENT_TYPES, eventPaths, pathMatchesPrefix, TRANSIENT_EVENT_TYPES } from '../events/bus.js';
+
+export const WEBHOOK_EVENT_TYPES = EVENT_TYPES.filter((type) => !TRANSIENT_EVENT_TYPES.has(type));
+
+const SECRET_PREFIX = 'whsec';
+
+export const toPublicSubscription = ({ secret, ...record }) => ({ ...record, signed: Boolean(secret) });
+
+// A subscription receives an event when it lists the event type and, if it has
+// bucket or prefix filters, one of the event's keys or prefixes matches them.
+export const subscriptionMatches = (subscription, event) => subscription.events.includes(event.type)
+  && (!subscription.bucket || subscription.bucket === event.bucket)
+  && (subscription.prefixes.length === 0
+    || eventPaths(event).some((value) => subscription.prefixes.some((prefix) => pathMatchesPrefix(value, prefix))));
+
+// Admins with a prefix policy only see and change subscriptions they created
+// and subscriptions whose bucket and prefixes their policy lets them read. A
+// subscription without prefixes covers its whole bucket.
+export const canManageSubscription = (user, subscription, bucketIds) => subscription.createdBy === user.username
+  || (subscription.prefixes.length > 0 ? subscription.prefixes : [''])
+    .every((prefix) => canAccessPrefixIn(user, prefix, 'read', subscription.bucket, bucketIds));
+
+// Subscriptions are kept in a JSON file together with their signing secrets,
+// which are needed to sign every delivery. `extra` subscriptions come from the
+// environment and cannot be changed through the API.
+export const createWebhookStore = ({ filePath, extra = [] }) => {
+  const subscriptions = new Map();
+
+  if (fs.existsSync(filePath)) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const record of Array.isArray(parsed?.subscriptions) ? parsed.subscriptions : []) {
+      subscriptions.set(record.id, record);
+    }
+  }
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ subscriptions: Array.from(subscriptions.values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const create = ({ url, events, prefixes = [], bucket = null, description = null, createdBy }) => {
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      url,
+      events,
+      prefixes,
+      bucket,
+      description,
+      source: 'api',
+      createdBy,
+      createdAt: new Date().toISOString(),
+      secret: `${SECRET_PREFIX}_${crypto.randomBytes(24).toString('base64url')}`
+    };
+
+    subscriptions.set(record.id, record);
+    persist();
+    return { secret: record.secret, record: toPublicSubscription(record) };
+  };
+
+  const remove = (id) => {
+    const record = subscriptions.get(id);
+    if (!record) {
+      return null;
+    }
+
+    subscriptions.delete(id);
+    persist();
+    return toPublicSubscription(record);
+  };
+
+  const all = () => [...extra, ...subscriptions.values()];
+
+  return {
+    create,
+    remove,
+    get: (id) => all().find((record) => record.id === id) || null,
+    matching: (event) => all().filter((record) => subscriptionMatches(record, event)),
+    list: () => all()
+      .map(toPublicSubscription)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+  };
+};